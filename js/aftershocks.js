@@ -0,0 +1,272 @@
+/**
+ * File: aftershocks.js
+ * Purpose:
+ *   - Aftershock sequence analysis for one mainshock: gathers the events in a
+ *     magnitude-scaled space–time window (Gardner & Knopoff 1974), bins their
+ *     rate on log-spaced time bins and fits the modified Omori law
+ *     n(t) = K / (t + c)^p by maximum likelihood (Ogata 1983).
+ *   - Båth's-law comparison and the largest aftershocks.
+ *   - A seeded synthetic Omori sequence generator, so the fit can be checked
+ *     against known parameters.
+ *   - Pure functions on plain records (no DOM); the panel is sequencePanel.js.
+ */
+
+const AFTERSHOCK_DEFAULTS = {
+  minEvents: 10, // Fewest aftershocks worth fitting
+  startDays: 0, // T1: early aftershocks are often missing from catalogs
+  binsPerDecade: 4, // Log-spaced rate bins
+  largestCount: 5, // Rows in the "largest aftershocks" list
+};
+
+const BATH_DELTA_M = 1.2; // Båth's law: largest aftershock ≈ mainshock − 1.2
+
+/**
+ * Gardner & Knopoff (1974) window for a mainshock of magnitude mag, as
+ * parameterised by van Stiphout et al. (2012).
+ * @returns {Object} { distanceKm, days }
+ */
+function gardnerKnopoffWindow(mag) {
+  return {
+    distanceKm: Math.pow(10, 0.1238 * mag + 0.983),
+    days:
+      mag >= 6.5
+        ? Math.pow(10, 0.032 * mag + 2.7389)
+        : Math.pow(10, 0.5409 * mag - 0.547),
+  };
+}
+
+/**
+ * Events after the mainshock inside its space–time window, sorted by time,
+ * each with its delay (days) and epicentral distance (km).
+ * @param {Object} win - { distanceKm, days }; defaults to gardnerKnopoffWindow
+ * @returns {Array} [{ d, days, distanceKm }]
+ */
+function findAftershocks(mainshock, catalog, win = gardnerKnopoffWindow(mainshock.mag)) {
+  const start = mainshock.time.getTime();
+  const end = start + win.days * DAY_MS;
+
+  return catalog
+    .filter((d) => d !== mainshock && d.time.getTime() > start && d.time.getTime() <= end)
+    .map((d) => ({
+      d,
+      days: (d.time.getTime() - start) / DAY_MS,
+      distanceKm: haversineKm(mainshock.latitude, mainshock.longitude, d.latitude, d.longitude),
+    }))
+    .filter((a) => a.distanceKm <= win.distanceKm)
+    .sort((a, b) => a.days - b.days);
+}
+
+// -------- Modified Omori law --------
+
+function omoriRate(t, { K, c, p }) {
+  return K / Math.pow(t + c, p);
+}
+
+// Integral of (t + c)^-p from t1 to t2, i.e. expected count per unit K
+function omoriIntegral(c, p, t1, t2) {
+  if (Math.abs(p - 1) < 1e-9) return Math.log((t2 + c) / (t1 + c));
+  return (Math.pow(t2 + c, 1 - p) - Math.pow(t1 + c, 1 - p)) / (1 - p);
+}
+
+/**
+ * Ogata (1983) log-likelihood of event delays (days) observed in [t1, t2].
+ * K has a closed-form maximum (N / integral) for any c and p, so only those
+ * two are searched numerically.
+ */
+function omoriLogLikelihood(times, c, p, t1, t2) {
+  const n = times.length;
+  const integral = omoriIntegral(c, p, t1, t2);
+  const K = n / integral;
+  const sumLog = d3.sum(times, (t) => Math.log(t + c));
+  return { K, logLikelihood: n * Math.log(K) - p * sumLog - K * integral };
+}
+
+/**
+ * Maximum-likelihood K, c, p for delays in [t1, t2] (Nelder–Mead over
+ * log10 c and p, with c in [1e-4, 10] days and p in [0.2, 3]).
+ * @returns {Object|null} { K, c, p, logLikelihood, n } or null when empty
+ */
+function fitOmori(times, t1, t2) {
+  const inRange = times.filter((t) => t >= t1 && t <= t2);
+  if (inRange.length < 2) return null;
+
+  const clampLogC = (v) => Math.max(-4, Math.min(1, v));
+  const clampP = (v) => Math.max(0.2, Math.min(3, v));
+  const cost = ([logC, p]) => {
+    // Outside the bounds the cost grows with the distance, steering the simplex back
+    const penalty = Math.abs(logC - clampLogC(logC)) + Math.abs(p - clampP(p));
+    const { logLikelihood } = omoriLogLikelihood(inRange, 10 ** clampLogC(logC), clampP(p), t1, t2);
+    return -logLikelihood + 1e3 * penalty;
+  };
+
+  const [logC, p] = nelderMead(cost, [-1.5, 1.1], { step: [0.5, 0.2] }).map((v, i) =>
+    i === 0 ? clampLogC(v) : clampP(v)
+  );
+  const c = 10 ** logC;
+  return { ...omoriLogLikelihood(inRange, c, p, t1, t2), c, p, n: inRange.length };
+}
+
+/**
+ * Minimal Nelder–Mead simplex minimiser (standard coefficients).
+ * @returns {Array<number>} the best vertex found
+ */
+function nelderMead(f, x0, { step = x0.map(() => 0.1), maxIterations = 400, tolerance = 1e-8 } = {}) {
+  let simplex = [x0, ...x0.map((v, i) => x0.map((w, j) => (i === j ? w + step[i] : w)))].map(
+    (x) => ({ x, fx: f(x) })
+  );
+  const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v)); // a + t (b − a)
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    simplex.sort((a, b) => a.fx - b.fx);
+    const best = simplex[0];
+    const worst = simplex[simplex.length - 1];
+    if (Math.abs(worst.fx - best.fx) < tolerance) break;
+
+    const centroid = x0.map((_, i) => d3.mean(simplex.slice(0, -1), (v) => v.x[i]));
+    const reflected = combine(centroid, worst.x, -1);
+    const fr = f(reflected);
+
+    if (fr < best.fx) {
+      const expanded = combine(centroid, worst.x, -2);
+      const fe = f(expanded);
+      simplex[simplex.length - 1] = fe < fr ? { x: expanded, fx: fe } : { x: reflected, fx: fr };
+    } else if (fr < simplex[simplex.length - 2].fx) {
+      simplex[simplex.length - 1] = { x: reflected, fx: fr };
+    } else {
+      const contracted = combine(centroid, worst.x, 0.5);
+      const fc = f(contracted);
+      if (fc < worst.fx) {
+        simplex[simplex.length - 1] = { x: contracted, fx: fc };
+      } else {
+        // Shrink everything towards the best vertex
+        simplex = simplex.map((v, i) => {
+          if (i === 0) return v;
+          const x = combine(best.x, v.x, 0.5);
+          return { x, fx: f(x) };
+        });
+      }
+    }
+  }
+  return simplex.reduce((a, b) => (b.fx < a.fx ? b : a)).x;
+}
+
+/**
+ * Observed rate (events/day) on log-spaced bins from t1 (or the first event)
+ * to t2, for plotting against the fitted curve.
+ * @returns {Array} [{ t0, t1, t, count, rate }] with t the bin's geometric centre
+ */
+function aftershockRateBins(times, t1, t2, binsPerDecade = AFTERSHOCK_DEFAULTS.binsPerDecade) {
+  const first = Math.max(t1, d3.min(times) || t1, 1e-3);
+  if (!(t2 > first)) return [];
+
+  const decades = Math.log10(t2 / first);
+  const nBins = Math.max(1, Math.ceil(decades * binsPerDecade));
+  const edges = d3.range(nBins + 1).map((i) => first * Math.pow(10, (decades * i) / nBins));
+  const counts = new Array(nBins).fill(0);
+  times.forEach((t) => {
+    if (t < first || t > t2) return;
+    counts[Math.min(nBins - 1, d3.bisectRight(edges, t) - 1)]++;
+  });
+
+  return counts.map((count, i) => ({
+    t0: edges[i],
+    t1: edges[i + 1],
+    t: Math.sqrt(edges[i] * edges[i + 1]),
+    count,
+    rate: count / (edges[i + 1] - edges[i]),
+  }));
+}
+
+/**
+ * Båth's law: the largest aftershock is typically about 1.2 units smaller
+ * than its mainshock.
+ * @returns {Object|null} { mainMag, largestMag, deltaM, expectedMag }
+ */
+function bathComparison(mainshock, aftershocks) {
+  if (aftershocks.length === 0) return null;
+  const largestMag = d3.max(aftershocks, (a) => a.d.mag);
+  return {
+    mainMag: mainshock.mag,
+    largestMag,
+    deltaM: mainshock.mag - largestMag,
+    expectedMag: mainshock.mag - BATH_DELTA_M,
+  };
+}
+
+/**
+ * Everything the sequence panel shows for one mainshock.
+ * @param {Object} options - AFTERSHOCK_DEFAULTS overrides, plus window
+ *   ({ distanceKm, days }) and catalogEnd (Date; truncates the fit interval)
+ * @returns {Object} { mainshock, window, t1, t2, aftershocks, rates, fit, bath, largest }
+ */
+function analyzeAftershockSequence(mainshock, catalog, options = {}) {
+  const opts = { ...AFTERSHOCK_DEFAULTS, ...options };
+  const win = opts.window || gardnerKnopoffWindow(mainshock.mag);
+  const aftershocks = findAftershocks(mainshock, catalog, win);
+  const times = aftershocks.map((a) => a.days);
+
+  // The window may run past the end of the catalog
+  const catalogEnd = opts.catalogEnd || d3.max(catalog, (d) => d.time);
+  const t2 = Math.min(win.days, (catalogEnd - mainshock.time) / DAY_MS);
+  const t1 = opts.startDays;
+
+  return {
+    mainshock,
+    window: win,
+    t1,
+    t2,
+    aftershocks,
+    rates: aftershockRateBins(times, t1, t2, opts.binsPerDecade),
+    fit: aftershocks.length >= opts.minEvents ? fitOmori(times, t1, t2) : null,
+    bath: bathComparison(mainshock, aftershocks),
+    largest: aftershocks
+      .slice()
+      .sort((a, b) => b.d.mag - a.d.mag)
+      .slice(0, opts.largestCount),
+  };
+}
+
+/**
+ * Seeded synthetic sequence after mainshock: Poisson-distributed count and
+ * Omori-distributed delays in [t1, t2], Gutenberg–Richter magnitudes from
+ * minMag (capped below the mainshock) and epicentres scattered within
+ * radiusKm.
+ * @returns {Array} records shaped like the catalog rows (time, latitude,
+ *   longitude, depth, mag), sorted by time
+ */
+function synthesizeOmoriSequence(mainshock, params, options = {}) {
+  const { K, c, p } = params;
+  const { t1 = 0, t2 = 365, minMag = 2.5, b = 1, radiusKm = 50, seed = 1 } = options;
+  const source = d3.randomLcg(seed);
+  const uniform = d3.randomUniform.source(source)();
+  const count = d3.randomPoisson.source(source)(K * omoriIntegral(c, p, t1, t2))();
+
+  // Inverse of the normalised Omori CDF on [t1, t2]
+  const delay = (u) => {
+    if (Math.abs(p - 1) < 1e-9) return (t1 + c) * Math.pow((t2 + c) / (t1 + c), u) - c;
+    const a = Math.pow(t1 + c, 1 - p);
+    const z = Math.pow(t2 + c, 1 - p);
+    return Math.pow(a + u * (z - a), 1 / (1 - p)) - c;
+  };
+
+  return d3
+    .range(count)
+    .map(() => {
+      const days = delay(uniform());
+      const mag = Math.min(mainshock.mag - 0.1, minMag - Math.log10(1 - uniform()) / b);
+      const [latitude, longitude] = destinationPoint(
+        mainshock.latitude,
+        mainshock.longitude,
+        uniform() * 360,
+        radiusKm * Math.sqrt(uniform())
+      );
+      return {
+        time: new Date(mainshock.time.getTime() + days * DAY_MS),
+        latitude,
+        longitude,
+        depth: mainshock.depth,
+        mag: +mag.toFixed(1),
+      };
+    })
+    .sort((a, b) => a.time - b.time);
+}
@@ -0,0 +1,347 @@
+/**
+ * File: animationRecorder.js
+ * Purpose:
+ *   - Records the playback to a WebM video (MediaRecorder) or an animated
+ *     GIF (GifEncoder) without screen capture: every frame is drawn on an
+ *     offscreen canvas with the quakes in the current map view, the time
+ *     label and a time-series strip with the playhead.
+ *   - Uses the playback settings (speed, day/hour steps, trails, loop range)
+ *     and every active filter except time, so the recording matches what
+ *     the Animate button shows.
+ *   - Runs entirely in the browser; nothing is uploaded.
+ */
+
+const RECORD_COLORS = {
+  background: "#1b1d3a",
+  graticule: "#ffffff22",
+  text: "#ffffff",
+  bar: "#01d1ff55",
+  barPlayed: "#01d1ff",
+  playhead: "#f15969",
+};
+
+let recording = null; // { cancelled } while a recording runs
+
+/**
+ * Playhead positions of the recording: the same pace as live playback at
+ * the chosen speed, sampled at fps.
+ * @returns {Array<number>} step starts (ms)
+ */
+function getRecordingSteps(fps) {
+  const [lo, hi] = playback.bounds();
+  const stepMs = playback.stepMs;
+  const msPerFrame = (PLAYBACK_STEPS_PER_SECOND * playback.speed * stepMs) / fps;
+  const count = Math.floor((hi - lo) / msPerFrame) + 1;
+  return d3.range(count).map((i) => Math.floor((lo + i * msPerFrame) / stepMs) * stepMs);
+}
+
+/**
+ * Everything one recording needs that doesn't change between frames.
+ */
+function buildRecordingScene(canvas, steps) {
+  const width = canvas.width;
+  const height = canvas.height;
+  const stripHeight = Math.round(height * 0.18);
+  const mapHeight = height - stripHeight;
+  const map = leafletMap.theMap;
+  const viewSize = map.getSize();
+
+  // Quakes in the filters, any time; trails need the decay window before the first step
+  const events = fullData
+    .filter((d) => passesFilters(d, { ignoreTime: true }))
+    .sort((a, b) => a.time - b.time);
+  const times = events.map((d) => +d.time);
+  const magExtent = d3.extent(events, (d) => d.mag);
+
+  // The live map view, scaled to fit the frame
+  const scale = Math.min(width / viewSize.x, mapHeight / viewSize.y);
+  const offsetX = (width - viewSize.x * scale) / 2;
+  const offsetY = (mapHeight - viewSize.y * scale) / 2;
+  const bounds = map.getBounds();
+  const shifts = worldCopyOffsets(bounds.getWest(), bounds.getEast());
+  const project = (lat, lng) => {
+    const p = map.latLngToContainerPoint([lat, lng]);
+    return [offsetX + p.x * scale, offsetY + p.y * scale];
+  };
+
+  // Time-series strip: counts per bar across the recorded span
+  const stepMs = playback.stepMs;
+  const span = [steps[0], steps[steps.length - 1] + stepMs];
+  const barCount = Math.max(1, Math.min(Math.floor(width / 3), Math.round((span[1] - span[0]) / stepMs)));
+  const x = d3.scaleLinear().domain(span).range([40, width - 20]);
+  const bins = d3
+    .bin()
+    .value((d) => +d.time)
+    .domain(span)
+    .thresholds(d3.range(barCount).map((i) => span[0] + ((span[1] - span[0]) * i) / barCount))(
+      events
+    );
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(bins, (b) => b.length) || 1])
+    .range([height - 22, mapHeight + 24]);
+
+  return {
+    width,
+    height,
+    mapHeight,
+    events,
+    times,
+    shifts,
+    project,
+    radius: leafletMap.radiusFor(events),
+    color: leafletMap.colorScale.copy().domain(magExtent),
+    sizeScale: scale,
+    x,
+    y,
+    bins,
+  };
+}
+
+/**
+ * Draws the frame for the playback step starting at step (ms).
+ */
+function drawRecordingFrame(ctx, scene, step) {
+  const { width, height, mapHeight, events, times, shifts, project } = scene;
+  const stepMs = playback.stepMs;
+  const end = step + stepMs - 1;
+  const trails = document.getElementById("trail-toggle").checked;
+  const decayMs = Math.max(stepMs, (+document.getElementById("trail-decay-input").value || 1) * DAY_MS);
+  const start = trails ? end - decayMs : step;
+
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = RECORD_COLORS.background;
+  ctx.fillRect(0, 0, width, height);
+
+  // Graticule every 30° for orientation (no base map tiles in the frame)
+  ctx.strokeStyle = RECORD_COLORS.graticule;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  shifts.forEach((shift) => {
+    for (let lng = -180; lng <= 180; lng += 30) {
+      ctx.moveTo(...project(85, lng + shift));
+      ctx.lineTo(...project(-85, lng + shift));
+    }
+    for (let lat = -60; lat <= 60; lat += 30) {
+      ctx.moveTo(...project(lat, -180 + shift));
+      ctx.lineTo(...project(lat, 180 + shift));
+    }
+  });
+  ctx.stroke();
+
+  // Quakes in the window, small ones first as on the map
+  const inWindow = events
+    .slice(d3.bisectLeft(times, start), d3.bisectRight(times, end))
+    .sort((a, b) => a.mag - b.mag);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, width, mapHeight);
+  ctx.clip();
+  inWindow.forEach((d) => {
+    const age = trails ? (end - d.time) / decayMs : 0;
+    const r = scene.radius(d) * scene.sizeScale;
+    const fill = scene.color(d.mag);
+    shifts.forEach((shift) => {
+      const [px, py] = project(d.latitude, d.longitude + shift);
+      if (px < -r || px > width + r || py < -r || py > mapHeight + r) return;
+
+      const glow = trails ? trailGlow(age) : 0;
+      if (glow > 0) {
+        ctx.globalAlpha = 0.35 * glow;
+        ctx.fillStyle = fill;
+        ctx.beginPath();
+        ctx.arc(px, py, r * (1 + 1.5 * glow), 0, 2 * Math.PI);
+        ctx.fill();
+      }
+      ctx.globalAlpha = (trails ? trailOpacity(age) : 1) * qualityOpacity(d);
+      ctx.beginPath();
+      ctx.arc(px, py, r, 0, 2 * Math.PI);
+      ctx.fillStyle = fill;
+      ctx.fill();
+      ctx.strokeStyle = "black";
+      ctx.stroke();
+    });
+  });
+  ctx.restore();
+  ctx.globalAlpha = 1;
+
+  // Time label and event count
+  const format = playback.resolution === "hour" ? formatPlayheadHour : formatPlayheadDay;
+  ctx.fillStyle = RECORD_COLORS.text;
+  ctx.textBaseline = "top";
+  ctx.font = `bold ${Math.round(height / 18)}px sans-serif`;
+  ctx.fillText(format(new Date(step)), 16, 12);
+  ctx.font = `${Math.round(height / 40)}px sans-serif`;
+  ctx.fillText(
+    `${inWindow.length} events${trails ? `, fading over ${decayMs / DAY_MS} d` : ""}` +
+      (currentDataset ? ` – ${currentDataset.label}` : ""),
+    16,
+    16 + Math.round(height / 18)
+  );
+
+  drawRecordingTimeline(ctx, scene, step, end);
+}
+
+// -------- Time-series strip: bars up to the playhead are lit --------
+function drawRecordingTimeline(ctx, scene, step, end) {
+  const { width, height, mapHeight, x, y, bins } = scene;
+
+  ctx.fillStyle = "#00000055";
+  ctx.fillRect(0, mapHeight, width, height - mapHeight);
+
+  bins.forEach((bin) => {
+    if (bin.length === 0) return;
+    ctx.fillStyle = bin.x0 <= end ? RECORD_COLORS.barPlayed : RECORD_COLORS.bar;
+    const left = x(bin.x0);
+    ctx.fillRect(left, y(bin.length), Math.max(1, x(bin.x1) - left - 1), y(0) - y(bin.length));
+  });
+
+  ctx.strokeStyle = RECORD_COLORS.playhead;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(x(step), mapHeight + 8);
+  ctx.lineTo(x(step), height - 18);
+  ctx.stroke();
+
+  const [spanStart, spanEnd] = x.domain();
+  ctx.fillStyle = RECORD_COLORS.text;
+  ctx.font = `${Math.max(10, Math.round(height / 50))}px sans-serif`;
+  ctx.textBaseline = "bottom";
+  ctx.textAlign = "left";
+  ctx.fillText(formatPlayheadDay(new Date(spanStart)), 40, height - 2);
+  ctx.textAlign = "right";
+  ctx.fillText(formatPlayheadDay(new Date(spanEnd)), width - 20, height - 2);
+  ctx.textAlign = "left";
+}
+
+/**
+ * Renders and encodes every frame.
+ * @param {Object} options - { format: "webm" | "gif", width, height, fps }
+ * @param {Function} onProgress - called with the fraction done
+ * @returns {Promise<Blob|null>} null when cancelled
+ */
+async function recordPlayback({ format, width, height, fps }, onProgress) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const steps = getRecordingSteps(fps);
+  const scene = buildRecordingScene(canvas, steps);
+  const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+  if (format === "gif") {
+    const encoder = new GifEncoder(width, height, { delayMs: 1000 / fps });
+    for (let i = 0; i < steps.length; i++) {
+      if (recording.cancelled) return null;
+      drawRecordingFrame(ctx, scene, steps[i]);
+      encoder.addFrame(ctx.getImageData(0, 0, width, height).data);
+      onProgress((i + 1) / steps.length);
+      await nextFrame(); // Keeps the page responsive between frames
+    }
+    return encoder.finish();
+  }
+
+  // WebM: MediaRecorder timestamps frames in real time, so frames are paced at fps
+  const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find(
+    (type) => MediaRecorder.isTypeSupported(type)
+  );
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: Math.round(width * height * fps * 0.15),
+  });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+
+  recorder.start();
+  for (let i = 0; i < steps.length && !recording.cancelled; i++) {
+    drawRecordingFrame(ctx, scene, steps[i]);
+    track.requestFrame();
+    onProgress((i + 1) / steps.length);
+    await new Promise((resolve) => setTimeout(resolve, 1000 / fps));
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return recording.cancelled ? null : new Blob(chunks, { type: "video/webm" });
+}
+
+// -------- Record panel: format, size and frame rate, progress, cancel --------
+function initRecordPanel() {
+  const panel = document.getElementById("record-panel");
+  const summary = document.getElementById("record-summary");
+  const progress = document.getElementById("record-progress");
+  const startButton = document.getElementById("record-start");
+  const formatSelect = document.getElementById("record-format");
+  const sizeSelect = document.getElementById("record-size");
+  const fpsSelect = document.getElementById("record-fps");
+
+  const webmSupported =
+    typeof MediaRecorder !== "undefined" &&
+    typeof HTMLCanvasElement.prototype.captureStream === "function";
+  formatSelect.querySelector("option[value='webm']").disabled = !webmSupported;
+  if (!webmSupported) formatSelect.value = "gif";
+
+  function refreshSummary() {
+    if (!leafletMap) return;
+    const fps = +fpsSelect.value;
+    const frames = getRecordingSteps(fps).length;
+    const [lo, hi] = playback.bounds();
+    summary.textContent =
+      `${formatPlayheadDay(new Date(lo))} to ${formatPlayheadDay(new Date(hi))}, ` +
+      `${frames} frames (${(frames / fps).toFixed(1)} s) at the current speed and map view.` +
+      (formatSelect.value === "webm" ? " WebM records in real time." : "");
+  }
+
+  function finish(message) {
+    recording = null;
+    startButton.textContent = "Record";
+    progress.classList.add("hidden");
+    if (message) summary.textContent = message;
+  }
+
+  document.getElementById("record-btn").addEventListener("click", () => {
+    panel.classList.toggle("hidden");
+    if (!panel.classList.contains("hidden")) refreshSummary();
+  });
+  document.getElementById("record-close").addEventListener("click", () => {
+    panel.classList.add("hidden");
+  });
+  [formatSelect, fpsSelect].forEach((select) => select.addEventListener("change", refreshSummary));
+
+  startButton.addEventListener("click", () => {
+    if (recording) {
+      recording.cancelled = true;
+      return;
+    }
+    if (!leafletMap) return;
+
+    const [width, height] = sizeSelect.value.split("x").map(Number);
+    const format = formatSelect.value;
+    stopAnimation();
+    recording = { cancelled: false };
+    startButton.textContent = "Cancel";
+    progress.value = 0;
+    progress.classList.remove("hidden");
+
+    recordPlayback({ format, width, height, fps: +fpsSelect.value }, (done) => {
+      progress.value = done;
+    })
+      .then((blob) => {
+        if (!blob) return finish("Recording cancelled.");
+        const baseName = `earthquakes-${currentDataset ? currentDataset.id : "playback"}`;
+        downloadBlob(blob, `${baseName}.${format}`);
+        finish(`Saved ${baseName}.${format} (${d3.format(".3~s")(blob.size)}B).`);
+      })
+      .catch((error) => {
+        console.error(error);
+        finish(`Recording failed: ${error.message}`);
+      });
+  });
+}
+
+initRecordPanel();
@@ -0,0 +1,218 @@
+/**
+ * File: binning.js
+ * Purpose:
+ *   - One configurable set of bins each for magnitude, depth and distance to
+ *     the nearest plate boundary, used by the bar charts, the timeline
+ *     classes, the click-to-filter sets and the linked highlighting
+ *     (getMagnitudeLabel/getDepthLabel in main.js, getBoundaryDistanceLabel
+ *     in tectonics.js).
+ *   - Preset schemes (whole or half magnitude units, USGS depth classes,
+ *     quantiles of the loaded catalog) or custom edges typed in the UI.
+ *   - Edges are lower bounds; the last bin is open-ended. Values below the
+ *     first edge (e.g. M < 3, negative depths) get their own "<" bin whenever
+ *     the catalog has any.
+ */
+
+const QUANTILE_BIN_COUNT = 5;
+
+const BINNING_SCHEMES = {
+  magnitude: {
+    resolution: 0.1, // Edges are rounded to this
+    presets: {
+      whole: { label: "Bins: whole units", edges: () => [3, 4, 5, 6, 7, 8] },
+      half: {
+        label: "Bins: 0.5 units",
+        edges: (values) => {
+          const [min, max] = d3.extent(values);
+          return d3.range(Math.floor(min * 2) / 2, Math.floor(max * 2) / 2 + 0.25, 0.5);
+        },
+      },
+      quantile: { label: "Bins: quantiles", edges: (values) => quantileEdges(values, 0.1) },
+    },
+    formatBelow: (lo) => `<${lo.toFixed(1)}`,
+    formatBin: (lo, hi) => `${lo.toFixed(1)}–${(hi - 0.1).toFixed(1)}`,
+    formatLast: (lo) => `${lo.toFixed(1)}+`,
+  },
+  depth: {
+    resolution: 1,
+    presets: {
+      classic: { label: "Bins: 0/10/30/70/300 km", edges: () => [0, 10, 30, 70, 300] },
+      usgs: { label: "Bins: USGS shallow/intermediate/deep", edges: () => [0, 70, 300] },
+      quantile: { label: "Bins: quantiles", edges: (values) => quantileEdges(values, 1) },
+    },
+    formatBelow: (lo) => `<${lo}km`,
+    formatBin: (lo, hi) => `${lo}–${hi}km`,
+    formatLast: (lo) => `${lo}km+`,
+  },
+  boundary: {
+    resolution: 1,
+    presets: {
+      // No bins under 100 km: the bundled boundaries are only good to 50–150 km
+      coarse: { label: "Bins: 0/100/300/1000 km", edges: () => [0, 100, 300, 1000] },
+      quantile: { label: "Bins: quantiles", edges: (values) => quantileEdges(values, 1) },
+    },
+    formatBelow: (lo) => `<${lo}km`,
+    formatBin: (lo, hi) => `${lo}–${hi}km`,
+    formatLast: (lo) => `${lo}km+`,
+  },
+};
+
+// Value each kind bins; boundary distances are null until the boundaries load
+const BINNED_VALUES = {
+  magnitude: (d) => d.mag,
+  depth: (d) => d.depth,
+  boundary: (d) => d.boundaryDistance,
+};
+
+const binningConfig = {
+  magnitude: { preset: "whole", custom: null }, // custom: edges, used when preset is "custom"
+  depth: { preset: "classic", custom: null },
+  boundary: { preset: "coarse", custom: null },
+};
+
+let binCache = {}; // kind → { catalog, config, edges, bins }
+
+// Lower edges at the 0, 1/n, … quantiles; the first is floored so no value falls below it
+function quantileEdges(values, resolution) {
+  const sorted = values.slice().sort(d3.ascending);
+  const edges = d3
+    .range(QUANTILE_BIN_COUNT)
+    .map((i) => d3.quantileSorted(sorted, i / QUANTILE_BIN_COUNT));
+  edges[0] = Math.floor(edges[0] / resolution) * resolution;
+  return edges;
+}
+
+function catalogValues(kind) {
+  return fullData.map(BINNED_VALUES[kind]).filter((v) => v !== null && v !== undefined);
+}
+
+// Rounded to the scheme's resolution, sorted and without duplicates
+function cleanEdges(kind, edges) {
+  const { resolution } = BINNING_SCHEMES[kind];
+  const decimals = resolution < 1 ? 1 : 0;
+  return Array.from(
+    new Set(
+      edges
+        .filter((e) => isFinite(e))
+        .map((e) => +(Math.round(e / resolution) * resolution).toFixed(decimals))
+    )
+  ).sort(d3.ascending);
+}
+
+/**
+ * Bins of the current scheme for the loaded catalog, lowest first:
+ * [{ label, lo, hi }] with lo = -Infinity for the below-range bin and
+ * hi = Infinity for the last one.
+ */
+function getBins(kind) {
+  const config = binningConfig[kind];
+  const cached = binCache[kind];
+  if (cached && cached.catalog === fullData && cached.config === config) return cached.bins;
+
+  const scheme = BINNING_SCHEMES[kind];
+  const values = catalogValues(kind);
+  const preset = scheme.presets[config.preset];
+  let edges = cleanEdges(
+    kind,
+    config.preset === "custom" ? config.custom : values.length > 0 ? preset.edges(values) : preset.edges([0])
+  );
+  if (edges.length === 0) edges = cleanEdges(kind, scheme.presets[Object.keys(scheme.presets)[0]].edges());
+
+  const bins = edges.map((lo, i) => {
+    const hi = i + 1 < edges.length ? edges[i + 1] : Infinity;
+    return { lo, hi, label: hi === Infinity ? scheme.formatLast(lo) : scheme.formatBin(lo, hi) };
+  });
+  if (values.some((v) => v < edges[0])) {
+    bins.unshift({ lo: -Infinity, hi: edges[0], label: scheme.formatBelow(edges[0]) });
+  }
+
+  binCache[kind] = { catalog: fullData, config, edges, bins };
+  return bins;
+}
+
+// Forgets a kind's bins after its values change without a new catalog
+function invalidateBins(kind) {
+  delete binCache[kind];
+}
+
+function getBinLabel(kind, value) {
+  const bins = getBins(kind);
+  const { edges } = binCache[kind];
+  const i = d3.bisectRight(edges, value) - 1;
+  if (i < 0) return BINNING_SCHEMES[kind].formatBelow(edges[0]);
+  return bins[bins.length - edges.length + i].label;
+}
+
+/**
+ * Switches a kind to a preset or to custom edges. Its click-to-filter labels
+ * belong to the old bins, so that filter is cleared.
+ * @param {string} kind - "magnitude", "depth" or "boundary"
+ * @param {string} preset - a preset key or "custom"
+ * @param {Array<number>} [custom] - lower edges for "custom"
+ */
+function setBinning(kind, preset, custom = null) {
+  const scheme = BINNING_SCHEMES[kind];
+  if (preset !== "custom" && !scheme.presets[preset]) return;
+  if (preset === "custom" && cleanEdges(kind, custom || []).length === 0) return;
+
+  binningConfig[kind] = { preset, custom: preset === "custom" ? cleanEdges(kind, custom) : null };
+  getBucketFilter(kind).clear();
+  syncBinningControls();
+}
+
+// Compact form for links: a preset key, or the custom edges joined by commas
+function encodeBinning(kind) {
+  const config = binningConfig[kind];
+  return config.preset === "custom" ? config.custom.join(",") : config.preset;
+}
+
+function decodeBinning(kind, value) {
+  if (!value) return setBinning(kind, Object.keys(BINNING_SCHEMES[kind].presets)[0]);
+  if (BINNING_SCHEMES[kind].presets[value]) return setBinning(kind, value);
+  setBinning(kind, "custom", value.split(",").map(Number));
+}
+
+// -------- Scheme pickers and custom-edge inputs above the bar charts --------
+function syncBinningControls() {
+  Object.keys(BINNING_SCHEMES).forEach((kind) => {
+    const config = binningConfig[kind];
+    const input = document.getElementById(`${kind}-bins-input`);
+    document.getElementById(`${kind}-bins-select`).value = config.preset;
+    input.classList.toggle("hidden", config.preset !== "custom");
+    if (config.preset === "custom") input.value = config.custom.join(", ");
+  });
+}
+
+function initBinningControls() {
+  Object.entries(BINNING_SCHEMES).forEach(([kind, scheme]) => {
+    const select = document.getElementById(`${kind}-bins-select`);
+    const input = document.getElementById(`${kind}-bins-input`);
+
+    Object.entries(scheme.presets).forEach(([key, preset]) => {
+      select.insertBefore(new Option(preset.label, key), select.lastElementChild);
+    });
+    select.value = binningConfig[kind].preset;
+
+    const apply = () => {
+      if (select.value === "custom") {
+        const edges = input.value.split(/[\s,;]+/).filter((v) => v !== "").map(Number);
+        input.classList.remove("hidden");
+        input.classList.toggle("invalid", cleanEdges(kind, edges).length === 0);
+        if (cleanEdges(kind, edges).length === 0) return; // Wait for usable edges
+        setBinning(kind, "custom", edges);
+      } else {
+        setBinning(kind, select.value);
+      }
+      if (leafletMap) applyFilters();
+    };
+
+    select.addEventListener("change", () => {
+      // Start custom edges from the scheme on display
+      if (select.value === "custom" && !input.value) input.value = binCache[kind] ? binCache[kind].edges.join(", ") : "";
+      apply();
+    });
+    input.addEventListener("change", apply);
+  });
+}
+
+initBinningControls();
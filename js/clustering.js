@@ -0,0 +1,78 @@
+/**
+ * File: clustering.js
+ * Purpose:
+ *   - Groups quakes that land close together on screen into clusters for the
+ *     map's cluster mode (LeafletMap.renderClusters).
+ *   - Works on world pixel coordinates at the current zoom, so clusters are
+ *     recomputed on every zoom and split apart as you zoom in.
+ */
+
+/**
+ * @param {Array} points - { x, y, d }: world pixel position of quake d at the
+ *   current zoom (one entry per world copy in view, see LeafletMap.projectWorldCopies)
+ * @param {number} cellSize - grid size in pixels (roughly the cluster diameter)
+ * @returns {Array} clusters { key, x, y, count, maxMag, largest, members }
+ */
+function clusterQuakes(points, cellSize) {
+  // (1) Bin every quake into a square grid cell
+  const cells = new Map();
+  points.forEach(({ x, y, d }) => {
+    const col = Math.floor(x / cellSize);
+    const row = Math.floor(y / cellSize);
+    const key = `${col},${row}`;
+
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { key, col, row, members: [], sumX: 0, sumY: 0 };
+      cells.set(key, cell);
+    }
+    cell.members.push(d);
+    cell.sumX += x;
+    cell.sumY += y;
+  });
+
+  // (2) A dense group straddling a grid line ends up in two or more cells;
+  // the biggest cell absorbs neighbours whose centroids are close to its own
+  const ordered = Array.from(cells.values()).sort(
+    (a, b) => b.members.length - a.members.length
+  );
+  const absorbed = new Set();
+
+  ordered.forEach((cell) => {
+    if (absorbed.has(cell)) return;
+
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const other = cells.get(`${cell.col + dc},${cell.row + dr}`);
+        if (!other || other === cell || absorbed.has(other)) continue;
+
+        const n = cell.members.length;
+        const m = other.members.length;
+        const dx = cell.sumX / n - other.sumX / m;
+        const dy = cell.sumY / n - other.sumY / m;
+        if (dx * dx + dy * dy > (cellSize / 2) * (cellSize / 2)) continue;
+
+        cell.members.push(...other.members);
+        cell.sumX += other.sumX;
+        cell.sumY += other.sumY;
+        absorbed.add(other);
+      }
+    }
+  });
+
+  // (3) Summaries used for drawing and the hover histogram
+  return ordered
+    .filter((cell) => !absorbed.has(cell))
+    .map((cell) => {
+      const largest = cell.members.reduce((a, b) => (b.mag > a.mag ? b : a));
+      return {
+        key: cell.key,
+        x: cell.sumX / cell.members.length,
+        y: cell.sumY / cell.members.length,
+        count: cell.members.length,
+        maxMag: largest.mag,
+        largest,
+        members: cell.members,
+      };
+    });
+}
@@ -0,0 +1,139 @@
+/**
+ * File: decluster.js
+ * Purpose:
+ *   - Splits a catalog into mainshocks (independent events) and dependent
+ *     events (aftershocks, foreshocks, swarm members) so background rates are
+ *     not dominated by sequences.
+ *   - Two algorithms: Gardner & Knopoff (1974) space–time windows and
+ *     Reasenberg (1985) cluster linking.
+ *   - Pure functions on plain records (no DOM). filterState.decluster picks
+ *     which half every view shows.
+ */
+
+const DECLUSTER_ALGORITHMS = {
+  gk: { label: "Gardner–Knopoff", run: declusterGardnerKnopoff },
+  reasenberg: { label: "Reasenberg", run: declusterReasenberg },
+};
+
+// Reasenberg (1985) standard parameters
+const REASENBERG_DEFAULTS = {
+  tauMin: 1, // Look-ahead time (days) for events not yet in a cluster
+  tauMax: 10, // Longest look-ahead within a cluster (days)
+  probability: 0.95, // Confidence of observing the next event in the sequence
+  xk: 0.5, // Share of the cluster's largest magnitude that raises the threshold
+  xmeff: 1.5, // Effective lower magnitude cutoff of the catalog
+  rfact: 10, // Interaction radius in source (crack) radii
+  locationErrorKm: 1.5, // Added to the interaction radius
+};
+
+/**
+ * Gardner & Knopoff windowing: events are taken from the largest down; each
+ * one not yet claimed is a mainshock and claims every unclaimed event inside
+ * its window (gardnerKnopoffWindow, aftershocks.js) after it.
+ * @returns {Map} record → { dependent: Boolean, mainshock: record }
+ */
+function declusterGardnerKnopoff(catalog) {
+  const byTime = catalog.slice().sort((a, b) => a.time - b.time);
+  const times = byTime.map((d) => d.time.getTime());
+  const mainshockOf = new Array(byTime.length).fill(null); // time index → claiming mainshock
+
+  d3.range(byTime.length)
+    .sort((a, b) => byTime[b].mag - byTime[a].mag)
+    .forEach((m) => {
+      if (mainshockOf[m]) return;
+      const main = byTime[m];
+      mainshockOf[m] = main;
+
+      const { distanceKm, days } = gardnerKnopoffWindow(main.mag);
+      const maxDLat = distanceKm / 111.19; // km per degree of latitude
+      const last = d3.bisectRight(times, times[m] + days * DAY_MS);
+      for (let i = d3.bisectRight(times, times[m]); i < last; i++) {
+        if (mainshockOf[i]) continue;
+        const d = byTime[i];
+        // Cheap latitude test first; most of the window is far away
+        if (Math.abs(d.latitude - main.latitude) > maxDLat) continue;
+        if (haversineKm(main.latitude, main.longitude, d.latitude, d.longitude) <= distanceKm) {
+          mainshockOf[i] = main;
+        }
+      }
+    });
+
+  const labels = new Map();
+  byTime.forEach((d, i) => labels.set(d, { dependent: mainshockOf[i] !== d, mainshock: mainshockOf[i] }));
+  return labels;
+}
+
+/**
+ * Reasenberg cluster linking: walking forward in time, each event looks
+ * ahead tau days for events within its interaction radius (or that of its
+ * cluster's largest event) and links them into one cluster. tau grows with
+ * the time since the cluster's largest event, between tauMin and tauMax.
+ * The largest event of each cluster is its mainshock; unlinked events are
+ * mainshocks of their own.
+ * @returns {Map} record → { dependent: Boolean, mainshock: record }
+ */
+function declusterReasenberg(catalog, options = {}) {
+  const opts = { ...REASENBERG_DEFAULTS, ...options };
+  const events = catalog.slice().sort((a, b) => a.time - b.time);
+  const times = events.map((d) => d.time.getTime());
+  const radius = (mag) => opts.rfact * Math.pow(10, 0.4 * mag - 1.647) + opts.locationErrorKm;
+
+  const clusterOf = new Array(events.length).fill(null); // index → { members, largest }
+
+  const merge = (a, b) => {
+    if (a === b) return a;
+    const [keep, drop] = a.members.length >= b.members.length ? [a, b] : [b, a];
+    drop.members.forEach((i) => {
+      clusterOf[i] = keep;
+      keep.members.push(i);
+    });
+    if (events[drop.largest].mag > events[keep.largest].mag) keep.largest = drop.largest;
+    drop.members = [];
+    return keep;
+  };
+
+  events.forEach((d, i) => {
+    const cluster = clusterOf[i];
+    let tau = opts.tauMin;
+    if (cluster) {
+      const big = events[cluster.largest];
+      const deltaM = Math.max(0, (1 - opts.xk) * big.mag - opts.xmeff);
+      const sinceBig = (times[i] - times[cluster.largest]) / DAY_MS;
+      tau = (-Math.log(1 - opts.probability) * sinceBig) / Math.pow(10, ((deltaM - 1) * 2) / 3);
+      tau = Math.max(opts.tauMin, Math.min(opts.tauMax, tau));
+    }
+
+    const reach = radius(d.mag);
+    const last = d3.bisectRight(times, times[i] + tau * DAY_MS);
+    for (let j = i + 1; j < last; j++) {
+      const e = events[j];
+      let linked = haversineKm(d.latitude, d.longitude, e.latitude, e.longitude) <= reach;
+      if (!linked && clusterOf[i]) {
+        const big = events[clusterOf[i].largest];
+        linked = haversineKm(big.latitude, big.longitude, e.latitude, e.longitude) <= radius(big.mag);
+      }
+      if (!linked) continue;
+
+      let target = clusterOf[i];
+      if (!target) {
+        target = { members: [i], largest: i };
+        clusterOf[i] = target;
+      }
+      if (clusterOf[j]) {
+        merge(target, clusterOf[j]);
+      } else {
+        clusterOf[j] = target;
+        target.members.push(j);
+        if (e.mag > events[target.largest].mag) target.largest = j;
+      }
+    }
+  });
+
+  const labels = new Map();
+  events.forEach((d, i) => {
+    const cluster = clusterOf[i];
+    const main = cluster ? events[cluster.largest] : d;
+    labels.set(d, { dependent: main !== d, mainshock: main });
+  });
+  return labels;
+}
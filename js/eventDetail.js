@@ -0,0 +1,259 @@
+/**
+ * File: eventDetail.js
+ * Purpose:
+ *   - Detail panel docked above the charts for the selected event (opened
+ *     from LeafletMap.toggleSelection, so every map mode, the profile and
+ *     the event table lead here): every catalog field, including the
+ *     updated timestamp, review status, network and uncertainties.
+ *   - Context from the whole catalog: the nearest events in space and in
+ *     time, and how many events fell within 100 km in the 30 days before
+ *     and after; the nearest plate boundary (tectonics.js).
+ *   - A mini-map inset with the event, its 100 km circle and the neighbours.
+ */
+
+const DETAIL_RADIUS_KM = 100;
+const DETAIL_WINDOW_DAYS = 30;
+const DETAIL_NEIGHBOURS = 5;
+
+// Catalog fields in USGS column order: [key, label, unit]
+const DETAIL_FIELDS = [
+  ["time", "Time (UTC)", ""],
+  ["latitude", "Latitude", "°"],
+  ["longitude", "Longitude", "°"],
+  ["depth", "Depth", " km"],
+  ["mag", "Magnitude", ""],
+  ["magType", "Magnitude type", ""],
+  ["nst", "Stations", ""],
+  ["gap", "Azimuthal gap", "°"],
+  ["dmin", "Nearest station", "°"],
+  ["rms", "RMS residual", " s"],
+  ["net", "Network", ""],
+  ["id", "Event ID", ""],
+  ["updated", "Updated (UTC)", ""],
+  ["place", "Place", ""],
+  ["type", "Event type", ""],
+  ["horizontalError", "Horizontal error", " km"],
+  ["depthError", "Depth error", " km"],
+  ["magError", "Magnitude error", ""],
+  ["magNst", "Magnitude stations", ""],
+  ["status", "Status", ""],
+  ["locationSource", "Location source", ""],
+  ["magSource", "Magnitude source", ""],
+];
+
+const formatDetailTime = d3.utcFormat("%Y-%m-%d %H:%M:%S");
+
+let detailQuake = null; // Event on display, or null
+let detailMap = null; // Leaflet inset, created on first use
+let detailLayer = null;
+let detailCache = null; // { catalog, byTime } for the loaded catalog
+
+function formatDetailValue(key, value, unit) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (key === "time" || key === "updated") {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? String(value) : formatDetailTime(date);
+  }
+  if (typeof value === "number") return `${+value.toFixed(4)}${unit}`;
+  return `${value}${unit}`;
+}
+
+// "3.2 h", "4.5 d" between two times, signed
+function formatTimeOffset(ms) {
+  const hours = ms / 3600000;
+  const sign = ms < 0 ? "−" : "+";
+  if (Math.abs(hours) < 48) return `${sign}${Math.abs(hours).toFixed(1)} h`;
+  return `${sign}${Math.abs(hours / 24).toFixed(1)} d`;
+}
+
+// -------- Catalog context --------
+function getCatalogByTime() {
+  if (!detailCache || detailCache.catalog !== fullData) {
+    detailCache = { catalog: fullData, byTime: fullData.slice().sort((a, b) => a.time - b.time) };
+  }
+  return detailCache.byTime;
+}
+
+function nearestInSpace(d) {
+  return fullData
+    .filter((e) => e !== d)
+    .map((e) => ({ e, km: haversineKm(d.latitude, d.longitude, e.latitude, e.longitude) }))
+    .sort((a, b) => a.km - b.km)
+    .slice(0, DETAIL_NEIGHBOURS);
+}
+
+// Walks outwards from the event in time order, taking the closer side each step
+function nearestInTime(d) {
+  const byTime = getCatalogByTime();
+  const index = byTime.indexOf(d);
+  const result = [];
+  let before = index - 1;
+  let after = index + 1;
+  while (result.length < DETAIL_NEIGHBOURS && (before >= 0 || after < byTime.length)) {
+    const takeBefore =
+      after >= byTime.length ||
+      (before >= 0 && d.time - byTime[before].time <= byTime[after].time - d.time);
+    const e = takeBefore ? byTime[before--] : byTime[after++];
+    result.push({ e, km: haversineKm(d.latitude, d.longitude, e.latitude, e.longitude) });
+  }
+  return result;
+}
+
+// Events within DETAIL_RADIUS_KM in the DETAIL_WINDOW_DAYS before and after
+function countNearbyActivity(d) {
+  const byTime = getCatalogByTime();
+  const windowMs = DETAIL_WINDOW_DAYS * DAY_MS;
+  const start = d3.bisector((e) => e.time).left(byTime, new Date(d.time - windowMs));
+  const counts = { before: 0, after: 0 };
+
+  for (let i = start; i < byTime.length && byTime[i].time - d.time <= windowMs; i++) {
+    const e = byTime[i];
+    const km = haversineKm(d.latitude, d.longitude, e.latitude, e.longitude);
+    if (e === d || km > DETAIL_RADIUS_KM) continue;
+    if (e.time < d.time) counts.before++;
+    else counts.after++;
+  }
+  return counts;
+}
+
+// -------- Panel --------
+/**
+ * Shows event d in the detail panel; null hides the panel. Called by
+ * LeafletMap.toggleSelection.
+ */
+function showEventDetail(d) {
+  detailQuake = d;
+  const panel = document.getElementById("event-detail");
+  panel.classList.toggle("hidden", !d);
+  if (!d) {
+    if (detailLayer) detailLayer.clearLayers();
+    return;
+  }
+
+  document.getElementById("event-detail-title").textContent =
+    `M ${d.mag.toFixed(1)} – ${d.place || "Unknown location"}`;
+
+  d3.select("#event-detail-fields tbody")
+    .selectAll("tr")
+    .data(DETAIL_FIELDS)
+    .join((enter) => {
+      const row = enter.append("tr");
+      row.append("th");
+      row.append("td");
+      return row;
+    })
+    .call((row) => {
+      row.select("th").text(([, label]) => label).attr("title", ([key]) => key);
+      row.select("td").text(([key, , unit]) => formatDetailValue(key, d[key], unit));
+    });
+
+  const issues = qualityIssues(d);
+  const warning = document.getElementById("event-detail-quality");
+  warning.textContent = issues.length ? `Poorly constrained: ${issues.join("; ")}` : "";
+  warning.classList.toggle("hidden", issues.length === 0);
+
+  const activity = countNearbyActivity(d);
+  const events = (n) => `${n} event${n === 1 ? "" : "s"}`;
+  document.getElementById("event-detail-activity").textContent =
+    `Within ${DETAIL_RADIUS_KM} km in the whole catalog: ${events(activity.before)} in the ` +
+    `${DETAIL_WINDOW_DAYS} days before, ${events(activity.after)} in the ${DETAIL_WINDOW_DAYS} days after.`;
+
+  const boundary = describeNearestBoundary(d);
+  const boundaryText = document.getElementById("event-detail-boundary");
+  boundaryText.textContent = boundary
+    ? `Nearest plate boundary: ${boundary} (${BOUNDARY_ACCURACY_NOTE}).`
+    : "";
+  boundaryText.classList.toggle("hidden", !boundary);
+
+  const space = nearestInSpace(d);
+  const time = nearestInTime(d);
+  renderDetailNeighbours("#event-detail-space", d, space);
+  renderDetailNeighbours("#event-detail-time", d, time);
+  drawDetailMap(d, [...space, ...time].map((n) => n.e));
+}
+
+function hideEventDetail() {
+  showEventDetail(null);
+}
+
+function renderDetailNeighbours(container, d, neighbours) {
+  d3.select(container)
+    .selectAll("li")
+    .data(neighbours)
+    .join("li")
+    .text(
+      ({ e, km }) =>
+        `M ${e.mag.toFixed(1)}, ${km.toFixed(0)} km, ${formatTimeOffset(e.time - d.time)} – ` +
+        `${e.place || "Unknown"}`
+    )
+    .on("mouseenter", (event, { e }) => leafletMap.highlightQuake(e))
+    .on("mouseleave", () => leafletMap.highlightQuake(null))
+    .on("click", (event, { e }) => selectDetailNeighbour(e));
+}
+
+/**
+ * Follows a neighbour: selects it on the map when it is there, otherwise
+ * (filtered out) just shows its details.
+ */
+function selectDetailNeighbour(e) {
+  leafletMap.highlightQuake(null);
+  leafletMap.theMap.panTo([e.latitude, e.longitude]);
+  if (leafletMap.data.includes(e)) leafletMap.toggleSelection(e);
+  else showEventDetail(e);
+}
+
+// -------- Mini-map inset --------
+function drawDetailMap(d, neighbours) {
+  if (!detailMap) {
+    detailMap = L.map("event-detail-map", {
+      zoomControl: false,
+      layers: [L.tileLayer(leafletMap.esriUrl, { attribution: "Tiles &copy; Esri" })],
+    });
+    detailMap.attributionControl.setPrefix(false);
+    detailLayer = L.layerGroup().addTo(detailMap);
+  }
+  detailMap.invalidateSize(); // The panel was hidden when the map was sized
+
+  // Fitted before the layers go on, so they are projected at the final view
+  const bounds = L.latLng(d.latitude, d.longitude).toBounds(2 * DETAIL_RADIUS_KM * 1000);
+  detailMap.fitBounds(bounds, { animate: false });
+
+  detailLayer.clearLayers();
+  L.circle([d.latitude, d.longitude], {
+    radius: DETAIL_RADIUS_KM * 1000,
+    color: "#01d1ff",
+    weight: 1,
+    fillOpacity: 0.05,
+    interactive: false,
+  }).addTo(detailLayer);
+
+  neighbours.forEach((e) =>
+    L.circleMarker([e.latitude, d.longitude + wrapLongitude(e.longitude - d.longitude)], {
+      radius: 3,
+      color: "black",
+      weight: 1,
+      fillColor: leafletMap.colorScale(e.mag),
+      fillOpacity: 1,
+      interactive: false,
+    }).addTo(detailLayer)
+  );
+  L.circleMarker([d.latitude, d.longitude], {
+    radius: 6,
+    color: "white",
+    weight: 2,
+    fillColor: leafletMap.colorScale(d.mag),
+    fillOpacity: 1,
+    interactive: false,
+  }).addTo(detailLayer);
+}
+
+function initEventDetailPanel() {
+  document.getElementById("event-detail-close").addEventListener("click", () => {
+    // Closing also drops the selection the panel belongs to
+    const selected = leafletMap && leafletMap.selectedQuake;
+    if (selected) leafletMap.toggleSelection(selected);
+    hideEventDetail();
+  });
+}
+
+initEventDetailPanel();
@@ -0,0 +1,208 @@
+/**
+ * File: eventTable.js
+ * Purpose:
+ *   - Table of the events on the map (the filtered data) under the charts,
+ *     sortable by time, place, magnitude, depth and network, with free-text
+ *     search over the place name.
+ *   - Virtualized: only the rows in view (plus a small margin) exist in the
+ *     DOM, so scrolling through all 18k events stays smooth.
+ *   - Linked both ways: hovering a row highlights its circle and chart bars
+ *     and brings it into view on the map, clicking selects it; hovering or
+ *     clicking a circle marks and scrolls to its row.
+ */
+
+const EVENT_TABLE_ROW_HEIGHT = 24; // px; must match .event-row in style.css
+const EVENT_TABLE_OVERSCAN = 8; // Rows rendered above and below the viewport
+
+const formatTableTime = d3.timeFormat("%Y-%m-%d %H:%M:%S");
+
+const EVENT_TABLE_COLUMNS = [
+  { key: "time", label: "Time", value: (d) => d.time, format: formatTableTime },
+  { key: "place", label: "Place", value: (d) => d.place || "", format: (v) => v || "Unknown" },
+  { key: "mag", label: "Mag", value: (d) => d.mag, format: (v) => v.toFixed(1), numeric: true },
+  {
+    key: "depth",
+    label: "Depth (km)",
+    value: (d) => d.depth,
+    format: (v) => v.toFixed(1),
+    numeric: true,
+  },
+  { key: "net", label: "Net", value: (d) => facetValue(d, "net"), format: (v) => v },
+];
+
+const eventTable = {
+  data: [], // Events on the map
+  rows: [], // data after the search, in sort order
+  sortKey: "time",
+  sortDescending: true,
+  search: "",
+  hovered: null, // Event hovered here or on the map
+};
+
+// -------- Rows: search, then sort (called from applyFilters) --------
+function updateEventTable(data) {
+  eventTable.data = data;
+  refreshEventTableRows();
+}
+
+function refreshEventTableRows() {
+  const search = eventTable.search.trim().toLowerCase();
+  const column = EVENT_TABLE_COLUMNS.find((c) => c.key === eventTable.sortKey);
+  const order = eventTable.sortDescending ? d3.descending : d3.ascending;
+
+  eventTable.rows = (search
+    ? eventTable.data.filter((d) => (d.place || "").toLowerCase().includes(search))
+    : eventTable.data.slice()
+  ).sort((a, b) => order(column.value(a), column.value(b)));
+
+  const format = d3.format(",");
+  document.getElementById("event-table-count").textContent =
+    eventTable.rows.length === eventTable.data.length
+      ? `${format(eventTable.rows.length)} events`
+      : `${format(eventTable.rows.length)} of ${format(eventTable.data.length)} events`;
+  d3.select("#event-table-spacer").style(
+    "height",
+    `${eventTable.rows.length * EVENT_TABLE_ROW_HEIGHT}px`
+  );
+  renderEventTableHeader();
+  renderEventTableRows();
+}
+
+function sortEventTable(key) {
+  if (eventTable.sortKey === key) eventTable.sortDescending = !eventTable.sortDescending;
+  else {
+    eventTable.sortKey = key;
+    // Newest, largest and deepest first; text A–Z
+    eventTable.sortDescending = key !== "place" && key !== "net";
+  }
+  refreshEventTableRows();
+}
+
+// -------- Rendering --------
+function renderEventTableHeader() {
+  d3.select("#event-table-header")
+    .selectAll(".event-cell")
+    .data(EVENT_TABLE_COLUMNS, (c) => c.key)
+    .join((enter) =>
+      enter
+        .append("div")
+        .attr("class", (c) => `event-cell event-col-${c.key}`)
+        .attr("title", "Sort by this column")
+        .on("click", (event, c) => sortEventTable(c.key))
+    )
+    .classed("numeric", (c) => c.numeric)
+    .text((c) => {
+      if (c.key !== eventTable.sortKey) return c.label;
+      return `${c.label} ${eventTable.sortDescending ? "▼" : "▲"}`;
+    });
+}
+
+// Only the rows in and around the scrolled-to window are in the DOM
+function renderEventTableRows() {
+  const viewport = document.getElementById("event-table-viewport");
+  const top = viewport.scrollTop;
+  const first = Math.max(0, Math.floor(top / EVENT_TABLE_ROW_HEIGHT) - EVENT_TABLE_OVERSCAN);
+  const last = Math.min(
+    eventTable.rows.length,
+    Math.ceil((top + viewport.clientHeight) / EVENT_TABLE_ROW_HEIGHT) + EVENT_TABLE_OVERSCAN
+  );
+  const visible = eventTable.rows.slice(first, last).map((d, i) => ({ d, index: first + i }));
+  const selected = leafletMap ? leafletMap.selectedQuake : null;
+
+  d3.select("#event-table-spacer")
+    .selectAll(".event-row")
+    .data(visible, (r) => r.index)
+    .join((enter) => {
+      const row = enter.append("div").attr("class", "event-row");
+      EVENT_TABLE_COLUMNS.forEach((c) =>
+        row
+          .append("div")
+          .attr("class", `event-cell event-col-${c.key}`)
+          .classed("numeric", c.numeric)
+      );
+      return row;
+    })
+    .style("top", (r) => `${r.index * EVENT_TABLE_ROW_HEIGHT}px`)
+    .classed("selected", (r) => r.d === selected)
+    .classed("hovered", (r) => r.d === eventTable.hovered)
+    .on("mouseenter", (event, r) => hoverEventTableRow(r.d))
+    .on("mouseleave", () => hoverEventTableRow(null))
+    .on("click", (event, r) => selectEventTableRow(r.d))
+    .each(function (r) {
+      d3.select(this)
+        .selectAll(".event-cell")
+        .data(EVENT_TABLE_COLUMNS)
+        .text((c) => c.format(c.value(r.d)))
+        .attr("title", (c) => (c.key === "place" ? r.d.place || "" : null));
+    });
+}
+
+// -------- Table → map and charts --------
+function hoverEventTableRow(d) {
+  markEventTableRow(d);
+  leafletMap.highlightQuake(d);
+  highlightProfileQuake(d);
+
+  if (d) {
+    highlightLinkedCharts(d);
+    // Pan only for off-screen circles, so running down the rows doesn't jolt the map
+    const map = leafletMap.theMap;
+    if (!map.getBounds().contains([d.latitude, d.longitude])) {
+      map.panTo([d.latitude, d.longitude]);
+    }
+  } else if (leafletMap.selectedQuake) {
+    highlightLinkedCharts(leafletMap.selectedQuake);
+  } else {
+    clearChartHighlights();
+  }
+}
+
+function selectEventTableRow(d) {
+  leafletMap.toggleSelection(d);
+  if (leafletMap.selectedQuake === d) leafletMap.theMap.panTo([d.latitude, d.longitude]);
+}
+
+// -------- Map → table (LeafletMap.notifyHover / toggleSelection) --------
+function markEventTableRow(d) {
+  eventTable.hovered = d;
+  d3.selectAll("#event-table-spacer .event-row").classed("hovered", (r) => r.d === d);
+}
+
+/**
+ * Marks the selected event's row and scrolls it into the middle of the table
+ * if it is out of view; null just clears the mark.
+ */
+function scrollEventTableTo(d) {
+  const index = d ? eventTable.rows.indexOf(d) : -1;
+  if (index >= 0) {
+    const viewport = document.getElementById("event-table-viewport");
+    const top = index * EVENT_TABLE_ROW_HEIGHT;
+    const bottom = top + EVENT_TABLE_ROW_HEIGHT;
+    if (top < viewport.scrollTop || bottom > viewport.scrollTop + viewport.clientHeight) {
+      viewport.scrollTop = top - (viewport.clientHeight - EVENT_TABLE_ROW_HEIGHT) / 2;
+    }
+  }
+  renderEventTableRows();
+}
+
+function initEventTable() {
+  const viewport = document.getElementById("event-table-viewport");
+  let frame = null;
+  viewport.addEventListener("scroll", () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      renderEventTableRows();
+    });
+  });
+
+  document.getElementById("event-table-search").addEventListener("input", function () {
+    eventTable.search = this.value;
+    viewport.scrollTop = 0;
+    refreshEventTableRows();
+  });
+
+  renderEventTableHeader();
+}
+
+initEventTable();
@@ -0,0 +1,136 @@
+/**
+ * File: exporter.js
+ * Purpose:
+ *   - Serializes quake records back into the original USGS columns as
+ *     CSV, GeoJSON or KML.
+ *   - Prepends a metadata header (date range, brush bounds, bucket selections)
+ *     so an exported file records how it was produced.
+ *   - Triggers the browser download of the generated file.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", mimeType: "text/csv", format: formatQuakesCsv },
+  geojson: {
+    extension: "geojson",
+    mimeType: "application/geo+json",
+    format: formatQuakesGeoJson,
+  },
+  kml: {
+    extension: "kml",
+    mimeType: "application/vnd.google-earth.kml+xml",
+    format: formatQuakesKml,
+  },
+};
+
+// -------- Converts a record back into the USGS column values (time as ISO string) --------
+function toUsgsRow(d) {
+  const row = {};
+  USGS_COLUMNS.forEach((c) => {
+    const value = d[c];
+    if (value instanceof Date) row[c] = value.toISOString();
+    else if (value === undefined || value === null) row[c] = "";
+    else row[c] = value;
+  });
+  return row;
+}
+
+// -------- CSV: "# key: value" header lines, then the 22 USGS columns --------
+function formatQuakesCsv(rows, metadata) {
+  const header = Object.entries(metadata)
+    .map(([key, value]) => `# ${key}: ${value}`)
+    .join("\n");
+
+  return header + "\n" + d3.csvFormat(rows.map(toUsgsRow), USGS_COLUMNS) + "\n";
+}
+
+// -------- GeoJSON: USGS-style FeatureCollection with a "metadata" member --------
+function formatQuakesGeoJson(rows, metadata) {
+  const features = rows.map((d) => {
+    const properties = toUsgsRow(d);
+    delete properties.latitude;
+    delete properties.longitude;
+    delete properties.depth;
+    properties.time = d.time.getTime(); // USGS GeoJSON uses epoch milliseconds
+
+    return {
+      type: "Feature",
+      id: d.id,
+      properties,
+      geometry: {
+        type: "Point",
+        coordinates: [d.longitude, d.latitude, d.depth],
+      },
+    };
+  });
+
+  return JSON.stringify(
+    { type: "FeatureCollection", metadata, features },
+    null,
+    2
+  );
+}
+
+// -------- KML: one Placemark per quake, all USGS columns as ExtendedData --------
+function formatQuakesKml(rows, metadata) {
+  const dataElements = (obj) =>
+    Object.entries(obj)
+      .map(
+        ([key, value]) =>
+          `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`
+      )
+      .join("");
+
+  const placemarks = rows.map((d) => {
+    const row = toUsgsRow(d);
+    return `    <Placemark>
+      <name>${escapeXml(`M${d.mag} - ${d.place || "Unknown"}`)}</name>
+      <TimeStamp><when>${row.time}</when></TimeStamp>
+      <ExtendedData>${dataElements(row)}</ExtendedData>
+      <Point><coordinates>${d.longitude},${d.latitude},0</coordinates></Point>
+    </Placemark>`;
+  });
+
+  const description = Object.entries(metadata)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(metadata.dataset || "Earthquakes")}</name>
+    <description>${escapeXml(description)}</description>
+    <ExtendedData>${dataElements(metadata)}</ExtendedData>
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// -------- Builds the file for a format and hands it to the browser --------
+function exportQuakes(rows, metadata, formatKey, baseName) {
+  const { extension, mimeType, format } = EXPORT_FORMATS[formatKey];
+  const blob = new Blob([format(rows, metadata)], { type: mimeType });
+  downloadBlob(blob, `${baseName}.${extension}`);
+}
+
+// -------- Saves a Blob through a temporary link (also used for recordings) --------
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0); // After the download has started
+}
@@ -0,0 +1,168 @@
+/**
+ * File: facets.js
+ * Purpose:
+ *   - Facet sidebar: network, magnitude type, event type and location source,
+ *     each a list of multi-select checkboxes with value counts.
+ *   - Counts follow every other active filter, and for each facet every other
+ *     facet (the usual faceted-search rule), so a ticked value never hides the
+ *     alternatives it could be combined with.
+ *   - "Non-earthquake events" toggle for explosions, quarry blasts, ice quakes
+ *     and the like; it belongs to the event-type facet.
+ */
+
+const MISSING_FACET_VALUE = "(none)";
+
+// Catalog columns offered as facets; urlKey is the hash key (urlState.js)
+const FACETS = {
+  net: { label: "Network", urlKey: "net" },
+  magType: { label: "Magnitude type", urlKey: "mt" },
+  type: { label: "Event type", urlKey: "et" },
+  locationSource: { label: "Location source", urlKey: "loc" },
+};
+
+let facetValueCache = null; // { catalog, values: { key: [value, …] } } in catalog-count order
+
+// Catalog spellings vary in case ("Ml", "ml"), so values are compared lower-cased
+function facetValue(d, key) {
+  return String(d[key] || "").trim().toLowerCase() || MISSING_FACET_VALUE;
+}
+
+function isEarthquake(d) {
+  const type = facetValue(d, "type");
+  return type === "earthquake" || type === MISSING_FACET_VALUE;
+}
+
+// -------- Filter test (used by passesFilters) --------
+// except: a facet key to leave out, for that facet's own counts
+function passesFacets(d, except = null) {
+  const { facets, nonEarthquakes } = filterState;
+  if (except !== "type" && !nonEarthquakes && !isEarthquake(d)) return false;
+  return Object.keys(FACETS).every(
+    (key) => key === except || facets[key].size === 0 || facets[key].has(facetValue(d, key))
+  );
+}
+
+function hasFacetFilter() {
+  return (
+    !filterState.nonEarthquakes ||
+    Object.keys(FACETS).some((key) => filterState.facets[key].size > 0)
+  );
+}
+
+// Every value of each facet in the loaded catalog, most common first
+function getFacetValues() {
+  if (facetValueCache && facetValueCache.catalog === fullData) return facetValueCache.values;
+
+  const values = {};
+  Object.keys(FACETS).forEach((key) => {
+    const counts = d3.rollup(fullData, (v) => v.length, (d) => facetValue(d, key));
+    values[key] = Array.from(counts.keys()).sort(
+      (a, b) => counts.get(b) - counts.get(a) || d3.ascending(a, b)
+    );
+  });
+  facetValueCache = { catalog: fullData, values };
+  return values;
+}
+
+/**
+ * Counts per facet value of the events passing every other filter:
+ * { key: Map(value → count) }.
+ */
+function getFacetCounts() {
+  const counts = {};
+  Object.keys(FACETS).forEach((key) => (counts[key] = new Map()));
+
+  fullData.forEach((d) => {
+    if (!passesFilters(d, { ignoreFacets: true })) return;
+    Object.keys(FACETS).forEach((key) => {
+      if (!passesFacets(d, key)) return;
+      const value = facetValue(d, key);
+      counts[key].set(value, (counts[key].get(value) || 0) + 1);
+    });
+  });
+  return counts;
+}
+
+// -------- Setters --------
+function toggleFacetValue(key, value) {
+  const selected = filterState.facets[key];
+  if (selected.has(value)) selected.delete(value);
+  else selected.add(value);
+  applyFilters();
+}
+
+function setNonEarthquakeFilter(include) {
+  filterState.nonEarthquakes = include;
+  applyFilters();
+}
+
+function resetFacetFilter() {
+  Object.keys(FACETS).forEach((key) => filterState.facets[key].clear());
+  filterState.nonEarthquakes = true;
+}
+
+// "Network: us, ak; earthquakes only" for the export header
+function describeFacetFilter() {
+  const parts = Object.entries(FACETS)
+    .filter(([key]) => filterState.facets[key].size > 0)
+    .map(([key, { label }]) => `${label}: ${Array.from(filterState.facets[key]).join(", ")}`);
+  if (!filterState.nonEarthquakes) parts.push("earthquakes only");
+  return parts.join("; ") || "all";
+}
+
+// -------- Sidebar (re-rendered from applyFilters) --------
+function renderFacetSidebar() {
+  const values = getFacetValues();
+  const counts = getFacetCounts();
+  const format = d3.format(",");
+
+  d3.select("#facet-list")
+    .selectAll(".facet")
+    .data(Object.entries(FACETS), ([key]) => key)
+    .join((enter) => {
+      const facet = enter.append("div").attr("class", "facet");
+      facet.append("h4").text(([, { label }]) => label);
+      facet.append("ul");
+      return facet;
+    })
+    .each(function ([key]) {
+      const selected = filterState.facets[key];
+      const rows = d3
+        .select(this)
+        .select("ul")
+        .selectAll("li")
+        .data(values[key], (value) => value)
+        .join((enter) => {
+          const row = enter.append("li").append("label");
+          row.append("input").attr("type", "checkbox");
+          row.append("span").attr("class", "facet-value");
+          row.append("span").attr("class", "facet-count");
+          return row.select(function () {
+            return this.parentNode;
+          });
+        })
+        .classed("empty", (value) => !counts[key].get(value) && !selected.has(value));
+
+      rows.select(".facet-value").text((value) => value);
+      rows.select(".facet-count").text((value) => format(counts[key].get(value) || 0));
+      rows
+        .select("input")
+        .property("checked", (value) => selected.has(value))
+        .on("change", (event, value) => toggleFacetValue(key, value));
+    });
+
+  document.getElementById("non-earthquake-toggle").checked = filterState.nonEarthquakes;
+  document.getElementById("facet-clear").classList.toggle("hidden", !hasFacetFilter());
+}
+
+function initFacetSidebar() {
+  document.getElementById("non-earthquake-toggle").addEventListener("change", function () {
+    setNonEarthquakeFilter(this.checked);
+  });
+  document.getElementById("facet-clear").addEventListener("click", () => {
+    resetFacetFilter();
+    applyFilters();
+  });
+}
+
+initFacetSidebar();
@@ -0,0 +1,316 @@
+/**
+ * File: filterState.js
+ * Purpose:
+ *   - Holds the single filter state shared by every control (time slider,
+ *     range slider, timeline brush, map brush, map clusters, magnitude/depth/
+ *     plate-boundary bars, declustering, catalog quality, facets).
+ *   - Intersects all active filters over fullData and re-renders the map,
+ *     the time series, the bar charts and the depth profile from that one result.
+ *   - Renders the "active filter" chips, each removable on its own.
+ */
+
+const filterState = {
+  time: null, // { start: Date, end: Date, label: String } or null for all time
+  selection: [], // [{ op, shape }] drawn in Brush Mode (selection.js); empty = everywhere
+  magnitudes: new Set(), // Labels from getMagnitudeLabel()
+  depths: new Set(), // Labels from getDepthLabel()
+  boundaryDistances: new Set(), // Labels from getBoundaryDistanceLabel() (tectonics.js)
+  boundaryTypes: new Set(), // Labels from getBoundaryTypeLabel(), e.g. "Trench"
+  cluster: null, // { label: String, quakes: Set } picked from a map cluster, or null
+  decluster: "all", // "all", "mainshocks" or "dependents" (decluster.js)
+  declusterAlgorithm: "gk", // Key of DECLUSTER_ALGORITHMS
+  // Catalog-quality limits (quality.js); null = no limit
+  quality: {
+    reviewed: false, // status "reviewed" only
+    gap: null,
+    horizontalError: null,
+    depthError: null,
+    magError: null,
+    rms: null,
+    nst: null,
+  },
+  // Facet values ticked in the sidebar (facets.js); empty = every value
+  facets: { net: new Set(), magType: new Set(), type: new Set(), locationSource: new Set() },
+  nonEarthquakes: true, // false hides explosions, quarry blasts, ice quakes, …
+};
+
+let declusterCache = null; // { catalog, algorithm, labels } for the loaded catalog
+
+/**
+ * Mainshock/dependent labels of fullData for the chosen algorithm, computed
+ * once per catalog and algorithm.
+ */
+function getDeclusterLabels() {
+  const algorithm = filterState.declusterAlgorithm;
+  if (
+    !declusterCache ||
+    declusterCache.catalog !== fullData ||
+    declusterCache.algorithm !== algorithm
+  ) {
+    declusterCache = {
+      catalog: fullData,
+      algorithm,
+      labels: DECLUSTER_ALGORITHMS[algorithm].run(fullData),
+    };
+  }
+  return declusterCache.labels;
+}
+
+// -------- True when a quake passes every active filter --------
+// ignoreTime: every filter except the time window (timeline context, playback recording)
+// ignoreFacets: every filter except the facets (facet counts)
+function passesFilters(d, { ignoreTime = false, ignoreFacets = false } = {}) {
+  const { selection, magnitudes, depths, boundaryDistances, boundaryTypes, cluster, decluster } =
+    filterState;
+  const time = ignoreTime ? null : filterState.time;
+
+  if (cluster && !cluster.quakes.has(d)) return false;
+  if (decluster !== "all") {
+    const { dependent } = getDeclusterLabels().get(d);
+    if (dependent !== (decluster === "dependents")) return false;
+  }
+  if (time && (d.time < time.start || d.time > time.end)) return false;
+  if (selection.length > 0 && !selectionContains(selection, d)) return false;
+  if (magnitudes.size > 0 && !magnitudes.has(getMagnitudeLabel(d.mag))) {
+    return false;
+  }
+  if (depths.size > 0 && !depths.has(getDepthLabel(d.depth))) return false;
+  // Events without a boundary distance (boundaries not loaded) fail these two
+  if (boundaryDistances.size > 0 && !boundaryDistances.has(getBoundaryDistanceLabel(d))) {
+    return false;
+  }
+  if (boundaryTypes.size > 0 && !boundaryTypes.has(getBoundaryTypeLabel(d))) return false;
+  if (!passesQualityFilter(d)) return false;
+  if (!ignoreFacets && !passesFacets(d)) return false;
+  return true;
+}
+
+function getFilteredData() {
+  return fullData.filter((d) => passesFilters(d));
+}
+
+// -------- Setters used by the controls; each one re-renders everything --------
+function setTimeFilter(start, end, label) {
+  filterState.time = { start, end, label };
+  if (leafletMap) leafletMap.setTrail(null); // Only playback frames fade
+  applyFilters();
+}
+
+/**
+ * One playback frame: the time window ending at the playhead, optionally with
+ * fading trails on the map ({ time, decayMs }, see LeafletMap.setTrail).
+ */
+function setPlaybackTime(start, end, label, trail) {
+  filterState.time = { start, end, label };
+  leafletMap.setTrail(trail);
+  applyFilters();
+}
+
+/**
+ * Adds a Brush Mode shape. mode "replace" starts a new selection, "add" unions
+ * it with the current one and "subtract" cuts it out.
+ */
+function addSelectionShape(shape, mode) {
+  if (mode === "replace") filterState.selection = [];
+  filterState.selection.push({ op: mode === "subtract" ? "subtract" : "add", shape });
+  leafletMap.showSelection(filterState.selection);
+  applyFilters();
+}
+
+// Limits every view to the members of one map cluster (shift+click on it)
+function setClusterFilter(quakes, label) {
+  filterState.cluster = { label, quakes: new Set(quakes) };
+  applyFilters();
+}
+
+// show: "all", "mainshocks" or "dependents"; algorithm: DECLUSTER_ALGORITHMS key
+function setDeclusterFilter(show, algorithm = filterState.declusterAlgorithm) {
+  filterState.decluster = show;
+  filterState.declusterAlgorithm = algorithm;
+  syncDeclusterControls();
+  applyFilters();
+}
+
+function syncDeclusterControls() {
+  document.getElementById("decluster-select").value = filterState.decluster;
+  document.getElementById("decluster-algorithm-select").value = filterState.declusterAlgorithm;
+}
+
+// Click-to-filter set of the bar charts and timeline legend for each kind
+function getBucketFilter(kind) {
+  return {
+    magnitude: filterState.magnitudes,
+    depth: filterState.depths,
+    boundary: filterState.boundaryDistances,
+    boundaryType: filterState.boundaryTypes,
+  }[kind];
+}
+
+function toggleBucketFilter(kind, label) {
+  const selected = getBucketFilter(kind);
+  if (selected.has(label)) selected.delete(label);
+  else selected.add(label);
+  applyFilters();
+}
+
+// Drops filters back to "everything" (used when a new catalog is loaded)
+function resetFilterState() {
+  filterState.time = null;
+  filterState.selection = [];
+  filterState.magnitudes.clear();
+  filterState.depths.clear();
+  filterState.boundaryDistances.clear();
+  filterState.boundaryTypes.clear();
+  filterState.cluster = null;
+  filterState.decluster = "all";
+  syncDeclusterControls();
+  resetQualityFilter();
+  resetFacetFilter();
+}
+
+// -------- Removes one filter (one chip) and keeps its control in sync --------
+function clearFilter(kind, value) {
+  if (kind === "time") {
+    filterState.time = null;
+    leafletMap.setTrail(null);
+    if (isRangeMode) collapseToSingleSlider(monthsArray.length - 1, false);
+  } else if (kind === "region") {
+    // value is the entry's index; undefined clears the whole selection
+    filterState.selection =
+      value === undefined ? [] : filterState.selection.filter((e, i) => i !== value);
+    leafletMap.showSelection(filterState.selection);
+  } else if (kind === "cluster") {
+    filterState.cluster = null;
+  } else if (kind === "decluster") {
+    filterState.decluster = "all";
+    syncDeclusterControls();
+  } else if (kind === "quality") {
+    // value is "reviewed" or a QUALITY_FILTERS key
+    if (value === "reviewed") filterState.quality.reviewed = false;
+    else filterState.quality[value] = null;
+    syncQualityControls();
+  } else if (kind === "facet") {
+    // value is "key:value", e.g. "net:us"
+    const [key, ...rest] = value.split(":");
+    filterState.facets[key].delete(rest.join(":"));
+  } else if (kind === "nonEarthquakes") {
+    filterState.nonEarthquakes = true;
+  } else if (getBucketFilter(kind)) {
+    // "magnitude", "depth", "boundary" or "boundaryType"; value is the bar label
+    getBucketFilter(kind).delete(value);
+  }
+  applyFilters();
+}
+
+// -------- The one render path: filter once, push the result to every view --------
+function applyFilters() {
+  if (!leafletMap) return;
+
+  const filtered = getFilteredData();
+
+  leafletMap.setData(filtered);
+  // The timeline shows the time window in context: every other filter, all of time
+  updateEarthquakeChart(fullData.filter((d) => passesFilters(d, { ignoreTime: true })));
+  updateAllCharts(filtered);
+  updateProfileChart(filtered);
+  updateFrequencyMagnitudeChart(filtered);
+  updateEventTable(filtered);
+  renderFilterChips();
+  renderFacetSidebar();
+
+  // With the time filter removed the slider no longer points at one month
+  const monthLabel = document.getElementById("monthLabel");
+  if (!filterState.time && monthLabel) monthLabel.textContent = "All months";
+
+  if (typeof scheduleUrlStateUpdate === "function") scheduleUrlStateUpdate();
+}
+
+// -------- "Active filter" chips under the map --------
+function getActiveFilterChips() {
+  const chips = [];
+
+  if (filterState.time) {
+    chips.push({ kind: "time", text: `Time: ${filterState.time.label}` });
+  }
+  filterState.selection.forEach((entry, i) =>
+    chips.push({ kind: "region", value: i, text: `Region: ${describeSelectionEntry(entry)}` })
+  );
+  if (filterState.cluster) {
+    chips.push({ kind: "cluster", text: `Cluster: ${filterState.cluster.label}` });
+  }
+  if (filterState.decluster !== "all") {
+    chips.push({ kind: "decluster", text: `Events: ${describeDeclusterFilter()}` });
+  }
+  Object.entries(FACETS).forEach(([key, { label }]) =>
+    filterState.facets[key].forEach((value) =>
+      chips.push({ kind: "facet", value: `${key}:${value}`, text: `${label}: ${value}` })
+    )
+  );
+  if (!filterState.nonEarthquakes) {
+    chips.push({ kind: "nonEarthquakes", text: "Event type: earthquakes only" });
+  }
+  getQualityCriteria().forEach(({ key, text }) =>
+    chips.push({ kind: "quality", value: key, text: `Quality: ${text}` })
+  );
+  filterState.magnitudes.forEach((label) =>
+    chips.push({ kind: "magnitude", value: label, text: `Magnitude: ${label}` })
+  );
+  filterState.depths.forEach((label) =>
+    chips.push({ kind: "depth", value: label, text: `Depth: ${label}` })
+  );
+  filterState.boundaryDistances.forEach((label) =>
+    chips.push({ kind: "boundary", value: label, text: `Boundary distance: ${label}` })
+  );
+  filterState.boundaryTypes.forEach((label) =>
+    chips.push({ kind: "boundaryType", value: label, text: `Boundary type: ${label}` })
+  );
+  return chips;
+}
+
+function renderFilterChips() {
+  const container = d3.select("#filter-chips");
+  const chips = getActiveFilterChips();
+
+  container
+    .selectAll(".filter-chip")
+    .data(chips, (d) => `${d.kind}:${d.value === undefined ? "" : d.value}`)
+    .join((enter) => {
+      const chip = enter.append("span").attr("class", "filter-chip");
+      chip.append("span").attr("class", "filter-chip-text");
+      chip
+        .append("button")
+        .attr("class", "filter-chip-remove")
+        .attr("title", "Remove this filter")
+        .html("&times;");
+      return chip;
+    })
+    .call((chip) => {
+      chip.select(".filter-chip-text").text((d) => d.text);
+      chip
+        .select(".filter-chip-remove")
+        .on("click", (event, d) => clearFilter(d.kind, d.value));
+    });
+
+  container.classed("empty", chips.length === 0);
+}
+
+// -------- "S 10.0° – N 40.0°, E 160.0° – W 170.0°" for a bounds object --------
+function formatBounds(bounds) {
+  const lat = (v) => `${Math.abs(v).toFixed(1)}°${v < 0 ? "S" : "N"}`;
+  const lng = (v) => {
+    const wrapped = wrapLongitude(v);
+    return `${Math.abs(wrapped).toFixed(1)}°${wrapped < 0 ? "W" : "E"}`;
+  };
+  return (
+    `${lat(bounds.getSouth())} – ${lat(bounds.getNorth())}, ` +
+    `${lng(bounds.getWest())} – ${lng(bounds.getEast())}`
+  );
+}
+
+// -------- "mainshocks only (Reasenberg)" for the chip and the export header --------
+function describeDeclusterFilter() {
+  const { decluster, declusterAlgorithm } = filterState;
+  if (decluster === "all") return "all";
+  const label = DECLUSTER_ALGORITHMS[declusterAlgorithm].label;
+  return `${decluster === "mainshocks" ? "mainshocks" : "dependent events"} only (${label})`;
+}
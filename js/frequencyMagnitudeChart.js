@@ -0,0 +1,264 @@
+/**
+ * File: frequencyMagnitudeChart.js
+ * Purpose:
+ *   - Gutenberg–Richter panel: cumulative (and per-bin) frequency–magnitude
+ *     distribution of the events on the map on a log axis, with Mc, the
+ *     fitted b-value line and its uncertainties (gutenbergRichter.js).
+ *   - Recomputed from applyFilters, so it follows the brush, time range and
+ *     bucket filters. One result can be pinned to compare two selections.
+ *   - Slider drags, facet ticks and playback call applyFilters many times a
+ *     second, so only the point estimates are redrawn right away; the
+ *     bootstrap runs once the selection has settled and is cached for it.
+ */
+
+let grCurrent = null; // { label, method, result, pending } for the events on the map
+let grPinned = null; // A previous grCurrent kept for comparison
+let grBootstrapTimer = null;
+let grCache = null; // { method, mags, result } of the last finished analysis
+const GR_BOOTSTRAP_DELAY = 300; // ms without a new selection before bootstrapping
+
+function updateFrequencyMagnitudeChart(data) {
+  const method = document.getElementById("gr-method-select").value;
+  const chips = getActiveFilterChips().map((chip) => chip.text);
+  const mags = data.map((d) => d.mag);
+  const cached = grCache && grCache.method === method && sameMagnitudes(grCache.mags, mags);
+  const result = cached
+    ? grCache.result
+    : analyzeGutenbergRichter(mags, { method, bootstrapSamples: 0 });
+
+  clearTimeout(grBootstrapTimer);
+  grCurrent = {
+    label: chips.join("; ") || "All events",
+    method,
+    result,
+    pending: !cached && !!result && result.enough,
+  };
+  if (grCurrent.pending) scheduleFrequencyMagnitudeBootstrap(grCurrent, mags);
+  drawFrequencyMagnitudeChart();
+}
+
+// Fills in the bootstrap errors of entry once no newer selection has come in
+function scheduleFrequencyMagnitudeBootstrap(entry, mags) {
+  grBootstrapTimer = setTimeout(() => {
+    entry.result = analyzeGutenbergRichter(mags, { method: entry.method });
+    entry.pending = false;
+    grCache = { method: entry.method, mags, result: entry.result };
+    if (entry === grCurrent || entry === grPinned) drawFrequencyMagnitudeChart();
+  }, GR_BOOTSTRAP_DELAY);
+}
+
+function sameMagnitudes(a, b) {
+  return a.length === b.length && a.every((mag, i) => mag === b[i]);
+}
+
+function drawFrequencyMagnitudeChart() {
+  const container = "#gr-chart";
+  const containerEl = document.querySelector(container);
+  const width = containerEl.offsetWidth;
+  const height = 350;
+  const margin = { top: 30, right: 30, bottom: 50, left: 70 };
+  d3.select(container).select("svg").remove();
+
+  const svg = d3
+    .select(container)
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const series = [grPinned, grCurrent].filter((s) => s && s.result);
+  const allBins = series.flatMap((s) => s.result.bins);
+
+  svg
+    .append("text")
+    .attr("x", width / 2)
+    .attr("y", margin.top - 10)
+    .attr("text-anchor", "middle")
+    .style("font-size", "18px")
+    .style("fill", "white")
+    .text("Frequency–Magnitude (Gutenberg–Richter)");
+
+  if (allBins.length === 0) {
+    svg
+      .append("text")
+      .attr("x", width / 2)
+      .attr("y", height / 2)
+      .attr("text-anchor", "middle")
+      .style("fill", "white")
+      .text("No events in the current selection");
+    return;
+  }
+
+  const x = d3
+    .scaleLinear()
+    .domain(d3.extent(allBins, (b) => b.mag))
+    .nice()
+    .range([margin.left, width - margin.right]);
+
+  const y = d3
+    .scaleLog()
+    .domain([1, d3.max(allBins, (b) => b.cumulative)])
+    .nice()
+    .range([height - margin.bottom, margin.top]);
+
+  svg
+    .append("g")
+    .attr("transform", `translate(0, ${height - margin.bottom})`)
+    .call(d3.axisBottom(x));
+
+  svg
+    .append("g")
+    .attr("transform", `translate(${margin.left}, 0)`)
+    .call(d3.axisLeft(y).ticks(5, "~s"));
+
+  svg
+    .append("text")
+    .attr("x", width / 2)
+    .attr("y", height - 12)
+    .attr("text-anchor", "middle")
+    .style("font-size", "12px")
+    .style("fill", "white")
+    .text("Magnitude");
+
+  svg
+    .append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -height / 2)
+    .attr("y", 20)
+    .attr("text-anchor", "middle")
+    .style("font-size", "12px")
+    .style("fill", "white")
+    .text("Number of Earthquakes (log)");
+
+  series.forEach((s) => {
+    const pinned = s === grPinned;
+    const color = pinned ? "#9a9ab0" : "#01d1ff";
+    const { bins, mc, a, b, enough } = s.result;
+    const g = svg.append("g").attr("class", pinned ? "gr-pinned" : "gr-current");
+
+    // Per-bin counts (hollow squares), then cumulative N(>=M) (dots)
+    g.selectAll("rect")
+      .data(bins.filter((bin) => bin.count > 0))
+      .join("rect")
+      .attr("x", (bin) => x(bin.mag) - 2.5)
+      .attr("y", (bin) => y(bin.count) - 2.5)
+      .attr("width", 5)
+      .attr("height", 5)
+      .attr("fill", "none")
+      .attr("stroke", color);
+
+    g.selectAll("circle")
+      .data(bins)
+      .join("circle")
+      .attr("cx", (bin) => x(bin.mag))
+      .attr("cy", (bin) => y(bin.cumulative))
+      .attr("r", 3)
+      .attr("fill", color)
+      .on("mouseover", (event, bin) => {
+        d3.select("#tooltip")
+          .style("opacity", 1)
+          .style("z-index", 1000000)
+          .html(
+            `<strong>M ≥ ${bin.mag.toFixed(1)}</strong>: ${bin.cumulative}<br>` +
+              `<strong>M = ${bin.mag.toFixed(1)}</strong>: ${bin.count}` +
+              (pinned ? `<br><em>Pinned: ${s.label}</em>` : "")
+          );
+      })
+      .on("mousemove", (event) => {
+        d3.select("#tooltip")
+          .style("left", event.pageX + 10 + "px")
+          .style("top", event.pageY + 10 + "px");
+      })
+      .on("mouseleave", () => d3.select("#tooltip").style("opacity", 0));
+
+    if (!isFinite(b)) return;
+
+    // Mc marker and the fitted law log10 N = a - bM above it
+    g.append("line")
+      .attr("x1", x(mc))
+      .attr("x2", x(mc))
+      .attr("y1", margin.top)
+      .attr("y2", height - margin.bottom)
+      .attr("stroke", color)
+      .attr("stroke-dasharray", "4 3");
+
+    const maxMag = d3.max(bins, (bin) => bin.mag);
+    const fitTop = Math.min(y.domain()[1], Math.pow(10, a - b * mc));
+    const fitEnd = Math.max(1, Math.pow(10, a - b * maxMag));
+    g.append("line")
+      .attr("x1", x((a - Math.log10(fitTop)) / b))
+      .attr("y1", y(fitTop))
+      .attr("x2", x((a - Math.log10(fitEnd)) / b))
+      .attr("y2", y(fitEnd))
+      .attr("stroke", pinned ? color : "#f15969")
+      .attr("stroke-width", 2)
+      .attr("opacity", enough ? 1 : 0.4);
+  });
+
+  drawFrequencyMagnitudeStats(svg, width, margin, series);
+}
+
+// -------- Text block: Mc, b-value with Shi & Bolt and bootstrap errors, a-value --------
+function drawFrequencyMagnitudeStats(svg, width, margin, series) {
+  const methodLabel = { maxc: "max curvature", gft: "goodness of fit" };
+  const lines = [];
+
+  series.forEach((s) => {
+    const { mc, mcLevel, b, sigma, a, n, enough, bootstrap } = s.result;
+    const prefix = s === grPinned ? "Pinned: " : "";
+
+    if (!isFinite(b)) {
+      lines.push({ pinned: !!prefix, text: `${prefix}too few events to fit` });
+      return;
+    }
+    // Bootstrap spread, "…" while it is still to be computed
+    const showSpread = bootstrap || s.pending;
+    const spread = (key) => (bootstrap ? bootstrap[key].toFixed(2) : "…");
+    const mcText =
+      `Mc = ${mc.toFixed(1)}` +
+      (showSpread ? ` ± ${spread("mcStd")}` : "") +
+      ` (${methodLabel[s.method]}${mcLevel ? `, ${mcLevel}% fit` : ""})`;
+    const bText =
+      `b = ${b.toFixed(2)} ± ${sigma.toFixed(2)}` +
+      (showSpread ? ` (bootstrap ± ${spread("bStd")})` : "");
+
+    lines.push({ pinned: !!prefix, text: prefix + mcText });
+    lines.push({ pinned: !!prefix, text: bText });
+    lines.push({
+      pinned: !!prefix,
+      text: `a = ${a.toFixed(2)}, N(M ≥ Mc) = ${n}` + (enough ? "" : " – too few for a reliable b"),
+    });
+  });
+
+  svg
+    .append("g")
+    .attr("class", "gr-stats")
+    .selectAll("text")
+    .data(lines)
+    .join("text")
+    .attr("x", width - margin.right - 4)
+    .attr("y", (d, i) => margin.top + 14 + i * 15)
+    .attr("text-anchor", "end")
+    .style("font-size", "12px")
+    .style("fill", (d) => (d.pinned ? "#9a9ab0" : "white"))
+    .text((d) => d.text);
+}
+
+// -------- Method picker and pin/unpin --------
+function initFrequencyMagnitudePanel() {
+  const pinButton = document.getElementById("gr-pin-btn");
+
+  document.getElementById("gr-method-select").addEventListener("change", () => {
+    if (!leafletMap) return;
+    updateFrequencyMagnitudeChart(leafletMap.data);
+    if (typeof scheduleUrlStateUpdate === "function") scheduleUrlStateUpdate();
+  });
+
+  pinButton.addEventListener("click", () => {
+    grPinned = grPinned ? null : grCurrent;
+    pinButton.textContent = grPinned ? "Clear pinned" : "Pin for comparison";
+    pinButton.title = grPinned ? `Pinned: ${grPinned.label}` : "";
+    drawFrequencyMagnitudeChart();
+  });
+}
+
+initFrequencyMagnitudePanel();
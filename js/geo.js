@@ -0,0 +1,173 @@
+/**
+ * File: geo.js
+ * Purpose:
+ *   - Small spherical-geometry helpers shared by the map tools: great-circle
+ *     distance, bearings and paths, along/cross-track distance to a profile
+ *     line, point-to-segment distance (plate boundaries), point-in-polygon
+ *     tests on latitude/longitude and longitude wrapping across the
+ *     antimeridian.
+ *   - Plain functions with no DOM or Leaflet dependency.
+ *   - Also home to DAY_MS, the day length the time-based modules share
+ *     (aftershocks, declustering, playback, timeline, event detail); it is
+ *     loaded before all of them.
+ */
+
+const EARTH_RADIUS_KM = 6371.0088; // Mean Earth radius (IUGG)
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180; // Along a meridian
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function toDegrees(rad) {
+  return (rad * 180) / Math.PI;
+}
+
+/**
+ * Shifts a longitude by whole turns into [min, min + 360), e.g. -179° becomes
+ * 181° for min = 170°.
+ */
+function wrapLongitude(lng, min = -180) {
+  return ((((lng - min) % 360) + 360) % 360) + min;
+}
+
+/**
+ * Longitude offsets (multiples of 360°) of the world copies of [-180°, 180°]
+ * that overlap the span [west, east]; the map can be panned past ±180°.
+ */
+function worldCopyOffsets(west, east) {
+  const offsets = [];
+  const first = Math.ceil((west - 180) / 360);
+  const last = Math.floor((east + 180) / 360);
+  for (let k = first; k <= last; k++) offsets.push(k * 360 || 0); // No -0
+  return offsets;
+}
+
+/**
+ * Great-circle distance in km between two points (haversine formula).
+ */
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial bearing in degrees (0 = north, clockwise) of the great circle from
+ * point 1 to point 2.
+ */
+function initialBearing(lat1, lng1, lat2, lng2) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(phi2);
+  const x =
+    Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Point reached after travelling distanceKm along the great circle that
+ * leaves (lat, lng) at the given bearing. Returns [lat, lng].
+ */
+function destinationPoint(lat, lng, bearing, distanceKm) {
+  const delta = distanceKm / EARTH_RADIUS_KM;
+  const theta = toRadians(bearing);
+  const phi1 = toRadians(lat);
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lambda2 =
+    toRadians(lng) +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+      Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+    );
+  return [toDegrees(phi2), toDegrees(lambda2)];
+}
+
+/**
+ * n + 1 evenly spaced points along the great circle from point 1 to point 2,
+ * as [[lat, lng], ...]. Longitudes are kept continuous (no jump at ±180°) and
+ * start from lng1, so the path can be drawn on the map as is.
+ */
+function greatCirclePoints(lat1, lng1, lat2, lng2, n) {
+  const totalKm = haversineKm(lat1, lng1, lat2, lng2);
+  const bearing = initialBearing(lat1, lng1, lat2, lng2);
+  const points = [];
+  let previousLng = lng1;
+
+  for (let i = 0; i <= n; i++) {
+    const [lat, lng] = destinationPoint(lat1, lng1, bearing, (totalKm * i) / n);
+    previousLng = wrapLongitude(lng, previousLng - 180);
+    points.push([lat, previousLng]);
+  }
+  return points;
+}
+
+/**
+ * Position of a point relative to the great-circle profile from start to end:
+ * alongKm is the distance from start measured along the line (negative before
+ * the start), crossKm the signed distance off the line (positive = right of it).
+ */
+function profileDistances(startLat, startLng, endLat, endLng, lat, lng) {
+  const delta13 = haversineKm(startLat, startLng, lat, lng) / EARTH_RADIUS_KM;
+  const theta13 = toRadians(initialBearing(startLat, startLng, lat, lng));
+  const theta12 = toRadians(initialBearing(startLat, startLng, endLat, endLng));
+
+  const crossAngle = Math.asin(Math.sin(delta13) * Math.sin(theta13 - theta12));
+  const alongAngle = Math.acos(
+    Math.max(-1, Math.min(1, Math.cos(delta13) / Math.cos(crossAngle)))
+  );
+  const sign = Math.cos(theta13 - theta12) < 0 ? -1 : 1;
+
+  return {
+    alongKm: sign * alongAngle * EARTH_RADIUS_KM,
+    crossKm: crossAngle * EARTH_RADIUS_KM,
+  };
+}
+
+/**
+ * Distance in km from a point to the segment a–b ([lat, lng] each), measured
+ * on a flat projection centred on the point (cosine-scaled longitudes). Good
+ * to a few percent within several hundred km, which is what nearest-boundary
+ * searches need; beyond that it still ranks segments correctly enough.
+ * Longitude differences are wrapped, so segments across ±180° work.
+ */
+function pointSegmentDistanceKm(lat, lng, a, b) {
+  const kx = KM_PER_DEGREE * Math.cos(toRadians(lat));
+  const ax = wrapLongitude(a[1] - lng) * kx;
+  const ay = (a[0] - lat) * KM_PER_DEGREE;
+  const dx = wrapLongitude(b[1] - a[1]) * kx;
+  const dy = (b[0] - a[0]) * KM_PER_DEGREE;
+
+  // Closest point of the segment to the origin (the event)
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Even-odd ray casting in the lat/lng plane, i.e. against the polygon as it
+ * is drawn on the map. The longitude must already be in the ring's own
+ * longitude range (see wrapLongitude).
+ * @param {Array} ring - [[lat, lng], ...] vertices, closing edge implied
+ */
+function pointInPolygon(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [latI, lngI] = ring[i];
+    const [latJ, lngJ] = ring[j];
+    if (
+      latI > lat !== latJ > lat &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -0,0 +1,151 @@
+/**
+ * File: gifEncoder.js
+ * Purpose:
+ *   - Minimal animated GIF (GIF89a) encoder for the playback recorder, so
+ *     recordings need no server or third-party library.
+ *   - Every frame uses one fixed 256-colour palette (3 bits red, 3 green,
+ *     2 blue) with ordered dithering, then LZW compression.
+ */
+
+// 4×4 Bayer matrix, as offsets in [-0.5, 0.5) of one palette step
+const GIF_DITHER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(
+  (v) => v / 16 - 0.5
+);
+
+class GifEncoder {
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {Object} options - { delayMs: time per frame, repeat: 0 = loop forever }
+   */
+  constructor(width, height, { delayMs = 100, repeat = 0 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.delay = Math.max(2, Math.round(delayMs / 10)); // GIF counts in 1/100 s
+    this.chunks = [];
+    this.indices = new Uint8Array(width * height);
+    this.writeHeader(repeat);
+  }
+
+  writeHeader(repeat) {
+    const bytes = [...this.ascii("GIF89a")];
+    bytes.push(...this.word(this.width), ...this.word(this.height));
+    bytes.push(0xf7, 0, 0); // Global colour table of 2^(7+1) entries
+
+    for (let i = 0; i < 256; i++) {
+      bytes.push(
+        Math.round(((i >> 5) * 255) / 7),
+        Math.round((((i >> 2) & 7) * 255) / 7),
+        Math.round(((i & 3) * 255) / 3)
+      );
+    }
+
+    // NETSCAPE2.0 application extension: loop count
+    bytes.push(0x21, 0xff, 11, ...this.ascii("NETSCAPE2.0"), 3, 1, ...this.word(repeat), 0);
+    this.chunks.push(new Uint8Array(bytes));
+  }
+
+  /**
+   * @param {Uint8ClampedArray} rgba - width × height pixels, e.g. ImageData.data
+   */
+  addFrame(rgba) {
+    const { width, height, indices } = this;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = (y * width + x) * 4;
+        const t = GIF_DITHER[((y & 3) << 2) | (x & 3)];
+        const r = this.quantize(rgba[p], 7, t);
+        const g = this.quantize(rgba[p + 1], 7, t);
+        const b = this.quantize(rgba[p + 2], 3, t);
+        indices[y * width + x] = (r << 5) | (g << 2) | b;
+      }
+    }
+
+    const header = [
+      0x21, 0xf9, 4, 0, ...this.word(this.delay), 0, 0, // Graphic control: frame delay
+      0x2c, 0, 0, 0, 0, ...this.word(width), ...this.word(height), 0, // Image descriptor
+    ];
+    this.chunks.push(new Uint8Array(header), this.lzw(indices, 8));
+  }
+
+  // Nearest of levels + 1 evenly spaced values, nudged by the dither offset
+  quantize(value, levels, offset) {
+    return Math.max(0, Math.min(levels, Math.round((value * levels) / 255 + offset)));
+  }
+
+  finish() {
+    this.chunks.push(new Uint8Array([0x3b])); // Trailer
+    return new Blob(this.chunks, { type: "image/gif" });
+  }
+
+  /**
+   * Variable-width LZW as GIF expects it: codes packed LSB-first and split
+   * into sub-blocks of at most 255 bytes, preceded by the minimum code size.
+   */
+  lzw(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [minCodeSize];
+    let block = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const flushBlock = () => {
+      out.push(block.length, ...block);
+      block = [];
+    };
+    const emit = (code) => {
+      bitBuffer |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        block.push(bitBuffer & 0xff);
+        if (block.length === 255) flushBlock();
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = (prefix << 8) | k;
+      const code = table.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+      if (nextCode === 4096) {
+        // Table full: start a fresh one
+        emit(clearCode);
+        table = new Map();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) block.push(bitBuffer & 0xff);
+    if (block.length > 0) flushBlock();
+    out.push(0); // Block terminator
+
+    return new Uint8Array(out);
+  }
+
+  word(value) {
+    return [value & 0xff, (value >> 8) & 0xff];
+  }
+
+  ascii(text) {
+    return Array.from(text, (c) => c.charCodeAt(0));
+  }
+}
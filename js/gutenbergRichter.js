@@ -0,0 +1,196 @@
+/**
+ * File: gutenbergRichter.js
+ * Purpose:
+ *   - Frequency–magnitude statistics for a set of magnitudes: binned and
+ *     cumulative counts, magnitude of completeness (Mc) by maximum curvature
+ *     or goodness-of-fit, Aki/Utsu maximum-likelihood b-value and a bootstrap
+ *     uncertainty for both.
+ *   - Pure functions on plain arrays (no DOM), used by the frequency–magnitude
+ *     panel (frequencyMagnitudeChart.js).
+ *
+ * References: Aki (1965), Utsu (1965), Shi & Bolt (1982), Wiemer & Wyss (2000),
+ * Woessner & Wiemer (2005).
+ */
+
+const GR_DEFAULTS = {
+  binWidth: 0.1, // Magnitude bin (catalog precision)
+  minEvents: 50, // Fewest events at or above Mc for a usable b-value
+  maxcCorrection: 0.2, // Added to the max-curvature Mc (Woessner & Wiemer 2005)
+  bootstrapSamples: 200, // 0 skips the bootstrap (point estimates only)
+  seed: 42, // Fixed so the panel doesn't jitter between identical selections
+};
+
+function roundToBin(mag, binWidth) {
+  return +(Math.round(mag / binWidth) * binWidth).toFixed(6);
+}
+
+/**
+ * Non-cumulative and cumulative counts per magnitude bin, from the smallest
+ * to the largest binned magnitude.
+ * @returns {Array} [{ mag, count, cumulative }] (cumulative = N(M >= mag))
+ */
+function frequencyMagnitudeDistribution(mags, binWidth = GR_DEFAULTS.binWidth) {
+  const { minIndex, indices } = magnitudeBinIndices(mags, binWidth);
+  if (indices.length === 0) return [];
+
+  const counts = new Int32Array(d3.max(indices) + 1);
+  indices.forEach((i) => counts[i]++);
+  return binsFromCounts(counts, minIndex, binWidth);
+}
+
+// Bin number of every finite magnitude, counted from the smallest bin
+function magnitudeBinIndices(mags, binWidth) {
+  const raw = mags.filter((m) => isFinite(m)).map((m) => Math.round(m / binWidth));
+  const minIndex = d3.min(raw);
+  return { minIndex, indices: raw.map((i) => i - minIndex) };
+}
+
+function binsFromCounts(counts, minIndex, binWidth) {
+  const bins = Array.from(counts, (count, i) => ({
+    mag: roundToBin((minIndex + i) * binWidth, binWidth),
+    count,
+    cumulative: 0,
+  }));
+  let running = 0;
+  for (let i = bins.length - 1; i >= 0; i--) {
+    running += bins[i].count;
+    bins[i].cumulative = running;
+  }
+  return bins;
+}
+
+/**
+ * Aki (1965) maximum-likelihood b-value for binned magnitudes at or above
+ * Mc, with Utsu's half-bin correction, plus the Shi & Bolt (1982) standard
+ * error and the a-value of log10 N(>=M) = a - bM.
+ */
+function akiBValue(bins, mc, binWidth = GR_DEFAULTS.binWidth) {
+  const above = bins.filter((b) => b.mag >= mc - binWidth / 2);
+  const n = d3.sum(above, (b) => b.count);
+  if (n < 2) return null;
+
+  const mean = d3.sum(above, (b) => b.mag * b.count) / n;
+  const b = Math.LOG10E / (mean - (mc - binWidth / 2));
+  const variance =
+    d3.sum(above, (bin) => bin.count * (bin.mag - mean) ** 2) / (n * (n - 1));
+
+  return {
+    b,
+    sigma: 2.3 * b * b * Math.sqrt(variance),
+    a: Math.log10(n) + b * mc,
+    n,
+  };
+}
+
+/**
+ * Maximum curvature: Mc is the bin with the most events (plus a correction,
+ * since this method underestimates Mc for gradually curved distributions).
+ */
+function mcMaxCurvature(bins, correction = GR_DEFAULTS.maxcCorrection) {
+  if (bins.length === 0) return null;
+  const peak = bins.reduce((a, b) => (b.count > a.count ? b : a));
+  return roundToBin(peak.mag + correction, GR_DEFAULTS.binWidth);
+}
+
+/**
+ * Goodness-of-fit (Wiemer & Wyss 2000): the lowest trial Mc whose fitted
+ * Gutenberg–Richter law explains the observed cumulative counts to 95%
+ * (or failing that 90%). Falls back to max curvature when neither is reached.
+ * @returns {Object} { mc, level: 95 | 90 | null, residuals: [{ mc, r }] }
+ */
+function mcGoodnessOfFit(bins, options = {}) {
+  const { binWidth, minEvents } = { ...GR_DEFAULTS, ...options };
+  const residuals = [];
+
+  // Running sums from the top bin down give each trial's mean magnitude
+  // without re-scanning the bins (this runs once per bootstrap sample)
+  let sumMag = 0;
+  const meanAbove = new Array(bins.length);
+  for (let t = bins.length - 1; t >= 0; t--) {
+    sumMag += bins[t].mag * bins[t].count;
+    meanAbove[t] = sumMag / bins[t].cumulative;
+  }
+
+  bins.forEach(({ mag: trial, cumulative }, t) => {
+    if (cumulative < minEvents) return;
+    const b = Math.LOG10E / (meanAbove[t] - (trial - binWidth / 2));
+    const a = Math.log10(cumulative) + b * trial;
+
+    let observed = 0;
+    let misfit = 0;
+    for (let i = t; i < bins.length; i++) {
+      observed += bins[i].cumulative;
+      misfit += Math.abs(bins[i].cumulative - Math.pow(10, a - b * bins[i].mag));
+    }
+    residuals.push({ mc: trial, r: 100 - (100 * misfit) / observed });
+  });
+
+  for (const level of [95, 90]) {
+    const hit = residuals.find((d) => d.r >= level);
+    if (hit) return { mc: hit.mc, level, residuals };
+  }
+  return { mc: mcMaxCurvature(bins), level: null, residuals };
+}
+
+/**
+ * Full analysis for one set of magnitudes.
+ * @param {Array<number>} mags
+ * @param {Object} options - GR_DEFAULTS overrides plus method: "maxc" | "gft"
+ * @returns {Object|null} { bins, mc, mcLevel, b, sigma, a, n, bootstrap }
+ *   bootstrap = { bStd, mcStd, samples } or null when too few events (or
+ *   bootstrapSamples is 0)
+ */
+function analyzeGutenbergRichter(mags, options = {}) {
+  const opts = { ...GR_DEFAULTS, method: "maxc", ...options };
+  const bins = frequencyMagnitudeDistribution(mags, opts.binWidth);
+  if (bins.length === 0) return null;
+
+  const estimate = (sampleBins) => {
+    if (opts.method === "gft") {
+      const { mc, level } = mcGoodnessOfFit(sampleBins, opts);
+      return { mc, level };
+    }
+    return { mc: mcMaxCurvature(sampleBins, opts.maxcCorrection), level: null };
+  };
+
+  const { mc, level } = estimate(bins);
+  const fit = akiBValue(bins, mc, opts.binWidth);
+  const result = { bins, mc, mcLevel: level, ...(fit || { b: NaN, sigma: NaN, a: NaN, n: 0 }) };
+  result.enough = result.n >= opts.minEvents;
+  result.bootstrap =
+    result.enough && opts.bootstrapSamples > 0
+      ? bootstrapGutenbergRichter(mags, estimate, opts)
+      : null;
+  return result;
+}
+
+/**
+ * Resamples the magnitudes with replacement and re-estimates Mc and b each
+ * time; the spread of the estimates is the uncertainty. Resampling works on
+ * bin numbers so each sample is a single counting pass.
+ */
+function bootstrapGutenbergRichter(mags, estimate, opts) {
+  const { minIndex, indices } = magnitudeBinIndices(mags, opts.binWidth);
+  const nBins = d3.max(indices) + 1;
+  const random = d3.randomInt.source(d3.randomLcg(opts.seed))(indices.length);
+  const bs = [];
+  const mcs = [];
+
+  for (let s = 0; s < opts.bootstrapSamples; s++) {
+    const counts = new Int32Array(nBins);
+    for (let i = 0; i < indices.length; i++) counts[indices[random()]]++;
+
+    const bins = binsFromCounts(counts, minIndex, opts.binWidth);
+    const { mc } = estimate(bins);
+    const fit = akiBValue(bins, mc, opts.binWidth);
+    if (!fit || !isFinite(fit.b)) continue;
+    bs.push(fit.b);
+    mcs.push(mc);
+  }
+
+  return {
+    bStd: d3.deviation(bs) || 0,
+    mcStd: d3.deviation(mcs) || 0,
+    samples: bs.length,
+  };
+}
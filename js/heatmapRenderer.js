@@ -0,0 +1,155 @@
+/**
+ * File: heatmapRenderer.js
+ * Purpose:
+ *   - Draws a kernel-density heatmap of the quakes onto a <canvas> in its own
+ *     Leaflet pane (the map's "heatmap" mode).
+ *   - Each quake adds a Gaussian kernel to a low-resolution density grid over
+ *     the viewport; the grid is coloured and scaled up onto the canvas.
+ *   - Every world copy in view gets its own kernels, so density is continuous
+ *     across the antimeridian.
+ */
+
+class QuakeHeatmapRenderer {
+  /**
+   * @param {L.Map} map
+   * @param {Object} options - { bandwidth: kernel sigma in px, cellSize: grid px,
+   *   interpolator: d3 colour interpolator for density 0..1 }
+   */
+  constructor(map, options) {
+    this.map = map;
+    this.options = Object.assign(
+      { bandwidth: 12, cellSize: 4, interpolator: d3.interpolateYlOrRd },
+      options
+    );
+    this.data = [];
+    this.visible = true;
+
+    // Below the point canvas (450), above the SVG overlay (400)
+    this.pane = map.getPane("quakeHeatmap") || map.createPane("quakeHeatmap");
+    this.pane.style.zIndex = 440;
+    this.pane.style.pointerEvents = "none";
+
+    this.canvas = L.DomUtil.create("canvas", "quake-canvas", this.pane);
+    this.grid = document.createElement("canvas"); // Density image before upscaling
+    this.kernel = this.buildKernel();
+
+    // 256-step colour ramp so the per-cell loop avoids colour parsing
+    this.ramp = d3.range(256).map((i) => d3.rgb(this.options.interpolator(i / 255)));
+
+    map.on("moveend resize", this.redraw, this);
+    map.on("zoomstart", this.hideWhileZooming, this);
+  }
+
+  setData(data) {
+    this.data = data;
+    this.redraw();
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.pane.style.display = visible ? "" : "none";
+    if (visible) this.redraw();
+  }
+
+  remove() {
+    this.map.off("moveend resize", this.redraw, this);
+    this.map.off("zoomstart", this.hideWhileZooming, this);
+    L.DomUtil.remove(this.canvas);
+  }
+
+  hideWhileZooming() {
+    this.canvas.style.visibility = "hidden";
+  }
+
+  // -------- Gaussian stamp in grid cells, cut off at 3 sigma --------
+  buildKernel() {
+    const sigma = this.options.bandwidth / this.options.cellSize;
+    const radius = Math.ceil(3 * sigma);
+    const size = 2 * radius + 1;
+    const weights = new Float32Array(size * size);
+
+    for (let y = -radius; y <= radius; y++) {
+      for (let x = -radius; x <= radius; x++) {
+        weights[(y + radius) * size + (x + radius)] = Math.exp(
+          -(x * x + y * y) / (2 * sigma * sigma)
+        );
+      }
+    }
+    return { radius, size, weights };
+  }
+
+  // -------- Accumulates the density grid and paints it over the viewport --------
+  redraw() {
+    if (!this.visible) return;
+
+    const size = this.map.getSize();
+    const { cellSize } = this.options;
+    const { radius, size: kSize, weights } = this.kernel;
+    const cols = Math.ceil(size.x / cellSize);
+    const rows = Math.ceil(size.y / cellSize);
+    const density = new Float32Array(cols * rows);
+
+    const bounds = this.map.getBounds();
+    const worldWidth = this.map.getPixelWorldBounds().getSize().x;
+    const shifts = worldCopyOffsets(bounds.getWest(), bounds.getEast()).map(
+      (offset) => (offset / 360) * worldWidth
+    );
+
+    this.data.forEach((d) => {
+      const p = this.map.latLngToContainerPoint([d.latitude, d.longitude]);
+      const cy = Math.floor(p.y / cellSize);
+      if (cy < -radius || cy >= rows + radius) return;
+
+      shifts.forEach((shift) => {
+        const cx = Math.floor((p.x + shift) / cellSize);
+        if (cx < -radius || cx >= cols + radius) return;
+
+        for (let ky = 0; ky < kSize; ky++) {
+          const gy = cy + ky - radius;
+          if (gy < 0 || gy >= rows) continue;
+          for (let kx = 0; kx < kSize; kx++) {
+            const gx = cx + kx - radius;
+            if (gx < 0 || gx >= cols) continue;
+            density[gy * cols + gx] += weights[ky * kSize + kx];
+          }
+        }
+      });
+    });
+
+    let max = 0;
+    for (let i = 0; i < density.length; i++) max = Math.max(max, density[i]);
+
+    this.grid.width = cols;
+    this.grid.height = rows;
+    const gridCtx = this.grid.getContext("2d");
+    const image = gridCtx.createImageData(cols, rows);
+    if (max > 0) {
+      for (let i = 0; i < density.length; i++) {
+        if (density[i] < max * 1e-3) continue; // Leave the near-empty tail transparent
+        // Square-root scaling keeps sparse areas visible next to dense trenches
+        const t = Math.sqrt(density[i] / max);
+        const color = this.ramp[Math.round(t * 255)];
+        image.data[i * 4] = color.r;
+        image.data[i * 4 + 1] = color.g;
+        image.data[i * 4 + 2] = color.b;
+        image.data[i * 4 + 3] = Math.round(255 * Math.min(1, 0.25 + t));
+      }
+    }
+    gridCtx.putImageData(image, 0, 0);
+
+    const ratio = window.devicePixelRatio || 1;
+    L.DomUtil.setPosition(this.canvas, this.map.containerPointToLayerPoint([0, 0]));
+    this.canvas.width = size.x * ratio;
+    this.canvas.height = size.y * ratio;
+    this.canvas.style.width = size.x + "px";
+    this.canvas.style.height = size.y + "px";
+    this.canvas.style.visibility = "";
+
+    const ctx = this.canvas.getContext("2d");
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, size.x, size.y);
+    ctx.imageSmoothingEnabled = true;
+    ctx.globalAlpha = 0.8;
+    ctx.drawImage(this.grid, 0, 0, cols * cellSize, rows * cellSize);
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * File: hexbin.js
+ * Purpose:
+ *   - Bins quakes into a pointy-top hexagonal grid in screen space for the
+ *     map's "hexbin" mode (LeafletMap.renderHexbins).
+ *   - Defines the colour metrics a hexagon can show (count, max magnitude,
+ *     summed seismic energy (seismicEnergy.js), mean depth).
+ */
+
+const HEX_METRICS = {
+  count: {
+    label: "Event count",
+    value: (members) => members.length,
+    format: d3.format(","),
+    interpolator: d3.interpolateYlOrRd,
+    log: false,
+  },
+  maxMag: {
+    label: "Max magnitude",
+    value: (members) => d3.max(members, (d) => d.mag),
+    format: d3.format(".1f"),
+    interpolator: d3.interpolateReds,
+    log: false,
+  },
+  energy: {
+    label: "Seismic energy",
+    value: (members) => d3.sum(members, quakeEnergy),
+    format: (v) => `${v.toExponential(2)} J`,
+    interpolator: d3.interpolateInferno,
+    log: true, // Spans many orders of magnitude
+  },
+  meanDepth: {
+    label: "Mean depth",
+    value: (members) => d3.mean(members, (d) => d.depth),
+    format: (v) => `${v.toFixed(1)} km`,
+    interpolator: (t) => d3.interpolateViridis(1 - t), // Deep = dark
+    log: false,
+  },
+};
+
+/**
+ * @param {Array} points - { x, y, d }: world pixel position of quake d at the
+ *   current zoom (one entry per world copy in view)
+ * @param {number} radius - hexagon circumradius in pixels
+ * @returns {Array} bins { key, x, y, members } centred on the hexagon
+ */
+function hexbinQuakes(points, radius) {
+  const dx = radius * Math.sqrt(3); // Column spacing
+  const dy = radius * 1.5; // Row spacing
+  const bins = new Map();
+
+  points.forEach(({ x, y, d }) => {
+    // Nearest centre among the two candidate rows (odd rows are offset by dx/2)
+    let row = Math.round(y / dy);
+    let col = Math.round(x / dx - (row & 1) / 2);
+    const rowY = y / dy - row;
+    if (Math.abs(rowY) * 3 > 1) {
+      const row2 = row + (rowY < 0 ? -1 : 1);
+      const col2 = Math.round(x / dx - (row2 & 1) / 2);
+      const d1 = (x - (col + (row & 1) / 2) * dx) ** 2 + (y - row * dy) ** 2;
+      const d2 = (x - (col2 + (row2 & 1) / 2) * dx) ** 2 + (y - row2 * dy) ** 2;
+      if (d2 < d1) {
+        row = row2;
+        col = col2;
+      }
+    }
+
+    const key = `${col},${row}`;
+    let bin = bins.get(key);
+    if (!bin) {
+      bin = { key, x: (col + (row & 1) / 2) * dx, y: row * dy, members: [] };
+      bins.set(key, bin);
+    }
+    bin.members.push(d);
+  });
+
+  return Array.from(bins.values());
+}
+
+/**
+ * SVG path for a pointy-top hexagon of the given radius centred on (0, 0).
+ */
+function hexagonPath(radius) {
+  const corners = d3.range(6).map((i) => {
+    const angle = (Math.PI / 3) * i - Math.PI / 2;
+    return [radius * Math.cos(angle), radius * Math.sin(angle)];
+  });
+  return "M" + corners.map((c) => c.join(",")).join("L") + "Z";
+}
@@ -0,0 +1,343 @@
+/**
+ * File: importer.js
+ * Purpose:
+ *   - Parses local catalog files (USGS CSV, USGS GeoJSON, QuakeML) in the browser.
+ *   - Normalizes all three formats into the record shape main.js works with
+ *     (numeric latitude/longitude/depth/mag, Date time, year/month/day).
+ *   - Builds a validation report listing every rejected row and the reason.
+ */
+
+// The 22 columns of a USGS catalog CSV export, in file order
+const USGS_COLUMNS = [
+  "time",
+  "latitude",
+  "longitude",
+  "depth",
+  "mag",
+  "magType",
+  "nst",
+  "gap",
+  "dmin",
+  "rms",
+  "net",
+  "id",
+  "updated",
+  "place",
+  "type",
+  "horizontalError",
+  "depthError",
+  "magError",
+  "magNst",
+  "status",
+  "locationSource",
+  "magSource",
+];
+
+// Numeric uncertainty/network columns kept for the quality filter (quality.js)
+const QUALITY_COLUMNS = [
+  "nst",
+  "gap",
+  "dmin",
+  "rms",
+  "horizontalError",
+  "depthError",
+  "magError",
+  "magNst",
+];
+
+// Columns a CSV must have for the app to place and size an event
+const REQUIRED_COLUMNS = ["time", "latitude", "longitude", "depth", "mag"];
+
+// -------- Parses a file's text, picking the parser from its name/content --------
+function parseCatalogFile(fileName, text) {
+  const format = detectCatalogFormat(fileName, text);
+
+  let result;
+  if (format === "csv") result = parseUsgsCsv(text);
+  else if (format === "geojson") result = parseUsgsGeoJson(text);
+  else if (format === "quakeml") result = parseQuakeMl(text);
+  else {
+    throw new Error(
+      "unrecognized file type (expected USGS CSV, GeoJSON or QuakeML)"
+    );
+  }
+
+  return { fileName, format, ...result };
+}
+
+function detectCatalogFormat(fileName, text) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith(".csv")) return "csv";
+  if (name.endsWith(".geojson") || name.endsWith(".json")) return "geojson";
+  if (name.endsWith(".xml") || name.endsWith(".quakeml")) return "quakeml";
+
+  // Fall back to sniffing the first non-blank character(s)
+  const head = text.trimStart();
+  if (head.startsWith("{")) return "geojson";
+  if (head.startsWith("<")) return "quakeml";
+  if (head.startsWith("time,") || head.startsWith("#")) return "csv";
+  return null;
+}
+
+// -------- USGS CSV (same schema as data/2024-2025.csv) --------
+function parseUsgsCsv(text) {
+  // Skip leading "# key: value" metadata lines (as written by exporter.js)
+  const lines = text.split(/\r?\n/);
+  let commentLines = 0;
+  while (commentLines < lines.length && lines[commentLines].startsWith("#")) {
+    commentLines++;
+  }
+
+  const rows = d3.csvParse(lines.slice(commentLines).join("\n"));
+  const missing = REQUIRED_COLUMNS.filter((c) => !rows.columns.includes(c));
+  if (missing.length > 0) {
+    throw new Error(`missing required column(s): ${missing.join(", ")}`);
+  }
+
+  const warnings = [];
+  const absent = USGS_COLUMNS.filter((c) => !rows.columns.includes(c));
+  if (absent.length > 0) {
+    warnings.push(`Columns not in file (left blank): ${absent.join(", ")}`);
+  }
+
+  // Row numbers count the header as row 1, like a spreadsheet would
+  return { ...collectRecords(rows, (i) => commentLines + i + 2), warnings };
+}
+
+// -------- USGS GeoJSON FeatureCollection --------
+function parseUsgsGeoJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`invalid JSON (${error.message})`);
+  }
+  if (!json || json.type !== "FeatureCollection" || !Array.isArray(json.features)) {
+    throw new Error("GeoJSON is not a FeatureCollection");
+  }
+
+  const rows = json.features.map((feature) => {
+    const props = (feature && feature.properties) || {};
+    const geometry = feature && feature.geometry;
+    const coords =
+      geometry && geometry.type === "Point" ? geometry.coordinates || [] : [];
+
+    // Start from any USGS columns carried as properties (e.g. our own exports)
+    const row = emptyUsgsRow();
+    USGS_COLUMNS.forEach((c) => (row[c] = valueOrBlank(props[c])));
+
+    return {
+      ...row,
+      time: toIsoString(props.time),
+      latitude: valueOrBlank(coords[1]),
+      longitude: valueOrBlank(coords[0]),
+      depth: valueOrBlank(coords[2]),
+      mag: valueOrBlank(props.mag),
+      magType: valueOrBlank(props.magType),
+      nst: valueOrBlank(props.nst),
+      gap: valueOrBlank(props.gap),
+      dmin: valueOrBlank(props.dmin),
+      rms: valueOrBlank(props.rms),
+      net: valueOrBlank(props.net),
+      id: valueOrBlank(feature && feature.id),
+      updated: toIsoString(props.updated),
+      place: valueOrBlank(props.place),
+      type: valueOrBlank(props.type),
+      status: valueOrBlank(props.status),
+      locationSource: row.locationSource || valueOrBlank(props.net),
+      magSource: row.magSource || valueOrBlank(props.net),
+    };
+  });
+
+  return { ...collectRecords(rows, (i) => i + 1), warnings: [] };
+}
+
+// -------- QuakeML (BED) event parameters --------
+function parseQuakeMl(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("invalid XML");
+  }
+
+  const events = Array.from(doc.getElementsByTagNameNS("*", "event"));
+  if (events.length === 0) {
+    throw new Error("no QuakeML <event> elements found");
+  }
+
+  const rows = events.map((event) => {
+    const origin = findPreferred(event, "origin", "preferredOriginID");
+    const magnitude = findPreferred(event, "magnitude", "preferredMagnitudeID");
+    const description =
+      childElements(event, "description").find(
+        (el) => childText(el, "type") === "region name"
+      ) || childElements(event, "description")[0];
+
+    return {
+      ...emptyUsgsRow(),
+      time: childText(origin, "time", "value"),
+      latitude: childText(origin, "latitude", "value"),
+      longitude: childText(origin, "longitude", "value"),
+      depth: metresToKm(childText(origin, "depth", "value")),
+      mag: childText(magnitude, "mag", "value"),
+      magType: childText(magnitude, "type"),
+      nst: childText(origin, "quality", "usedStationCount"),
+      gap: childText(origin, "quality", "azimuthalGap"),
+      dmin: childText(origin, "quality", "minimumDistance"),
+      rms: childText(origin, "quality", "standardError"),
+      net: (
+        childText(event, "creationInfo", "agencyID") ||
+        childText(origin, "creationInfo", "agencyID")
+      ).toLowerCase(),
+      id: quakeMlEventId(event),
+      updated: childText(origin, "creationInfo", "creationTime"),
+      place: childText(description, "text"),
+      type: childText(event, "type"),
+      horizontalError: metresToKm(
+        childText(origin, "originUncertainty", "horizontalUncertainty")
+      ),
+      depthError: metresToKm(childText(origin, "depth", "uncertainty")),
+      magError: childText(magnitude, "mag", "uncertainty"),
+      magNst: childText(magnitude, "stationCount"),
+      status:
+        childText(origin, "evaluationMode") === "manual" ? "reviewed" : "automatic",
+      locationSource: childText(origin, "creationInfo", "agencyID").toLowerCase(),
+      magSource: childText(magnitude, "creationInfo", "agencyID").toLowerCase(),
+    };
+  });
+
+  return { ...collectRecords(rows, (i) => i + 1), warnings: [] };
+}
+
+// -------- Validates raw rows, normalizing the good ones and reporting the rest --------
+function collectRecords(rows, rowNumber) {
+  const records = [];
+  const rejected = [];
+  const seenIds = new Set();
+
+  rows.forEach((row, i) => {
+    let reason = validateQuakeRow(row);
+    if (!reason && row.id && seenIds.has(row.id)) {
+      reason = `duplicate event id "${row.id}"`;
+    }
+
+    if (reason) {
+      rejected.push({ row: rowNumber(i), id: row.id || "", reason });
+      return;
+    }
+
+    // The map keys its marks by id, so rows without one get their row number
+    if (!row.id) row.id = `row-${rowNumber(i)}`;
+    seenIds.add(row.id);
+    records.push(normalizeQuake(row));
+  });
+
+  return { records, rejected, total: rows.length };
+}
+
+// Returns why a raw row can't be used, or null when it is valid
+function validateQuakeRow(row) {
+  const lat = toNumber(row.latitude);
+  const lon = toNumber(row.longitude);
+
+  if (isBlank(row.time)) return "time is missing";
+  if (isNaN(new Date(row.time).getTime())) return `invalid time "${row.time}"`;
+  if (isNaN(lat)) return "latitude is missing or not a number";
+  if (lat < -90 || lat > 90) return `latitude ${lat} is outside -90…90`;
+  if (isNaN(lon)) return "longitude is missing or not a number";
+  if (lon < -180 || lon > 180) return `longitude ${lon} is outside -180…180`;
+  if (isNaN(toNumber(row.depth))) return "depth is missing or not a number";
+  if (isNaN(toNumber(row.mag))) return "magnitude is missing or not a number";
+  return null;
+}
+
+// Converts a raw catalog row in place into the record shape used by the views
+function normalizeQuake(d) {
+  // Convert string-based fields to numbers
+  d.latitude = +d.latitude;
+  d.longitude = +d.longitude;
+  d.depth = +d.depth;
+  d.mag = +d.mag;
+
+  // Location/magnitude quality; null where the catalog leaves them blank
+  QUALITY_COLUMNS.forEach((c) => {
+    const value = toNumber(d[c]);
+    d[c] = isNaN(value) ? null : value;
+  });
+  d.status = String(d.status || "").trim().toLowerCase(); // "reviewed", "automatic", …
+
+  // Parse time string into a proper Date object
+  d.time = new Date(d.time);
+
+  // Extract useful date components (used later for filtering/bucketing)
+  d.year = d.time.getFullYear();
+  d.month = d.time.getMonth(); // 0-based (Jan = 0)
+  d.day = d.time.getDate(); // 1–31
+  return d;
+}
+
+// -------- Small helpers --------
+function emptyUsgsRow() {
+  return Object.fromEntries(USGS_COLUMNS.map((c) => [c, ""]));
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// Like +value, but blanks become NaN instead of 0
+function toNumber(value) {
+  return isBlank(value) ? NaN : +value;
+}
+
+function valueOrBlank(value) {
+  return isBlank(value) ? "" : String(value);
+}
+
+// GeoJSON times are epoch milliseconds
+function toIsoString(value) {
+  if (isBlank(value)) return "";
+  const date = new Date(typeof value === "number" ? value : String(value));
+  return isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+// QuakeML depths and uncertainties are in metres
+function metresToKm(value) {
+  return isBlank(value) || isNaN(+value) ? value : String(+value / 1000);
+}
+
+// Direct children of el with the given local name (namespace-agnostic)
+function childElements(el, name) {
+  if (!el) return [];
+  return Array.from(el.children).filter((child) => child.localName === name);
+}
+
+// Text of the element reached by following child names, or "" if absent
+function childText(el, ...path) {
+  let current = el;
+  for (const name of path) {
+    current = childElements(current, name)[0];
+    if (!current) return "";
+  }
+  return current.textContent.trim();
+}
+
+// USGS events carry catalog:eventsource/eventid attributes; otherwise use the publicID
+function quakeMlEventId(event) {
+  const eventId = event.getAttribute("catalog:eventid");
+  if (eventId) return (event.getAttribute("catalog:eventsource") || "") + eventId;
+
+  const publicId = event.getAttribute("publicID") || "";
+  const query = publicId.match(/eventid=([^&]+)/);
+  return query ? query[1] : publicId.split("/").pop();
+}
+
+// The <origin>/<magnitude> referenced by the preferred*ID, else the first one
+function findPreferred(event, name, preferredName) {
+  const candidates = childElements(event, name);
+  const preferredId = childText(event, preferredName);
+  return (
+    candidates.find((el) => el.getAttribute("publicID") === preferredId) ||
+    candidates[0] ||
+    null
+  );
+}
@@ -4,6 +4,7 @@ function toggle() {
   const slider = document.getElementById("controls");
   const timeChart = document.getElementById("time-series-chart");
   const anibtn = document.getElementById("anibtn");
+  const playbackBar = document.getElementById("playback-bar");
 
   // Toggle chart visibility
   for (let box of chartBoxes) {
@@ -16,6 +17,7 @@ function toggle() {
   slider.style.width = newWidth;
   timeChart.style.width = newWidth;
   anibtn.style.width = newWidth;
+  playbackBar.style.width = newWidth;
 
   // Set expanded state attribute
   timeChart.setAttribute("data-expanded", newWidth === "140%");
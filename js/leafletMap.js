@@ -5,6 +5,19 @@
  *     and D3 (for visual overlays).
  *   - Creates a tile layer for the map background, sets up an SVG overlay
  *     for quake circles, and handles zoom/pan repositioning of elements.
+ *   - Draws quakes either on a canvas (QuakeCanvasRenderer, the default),
+ *     as SVG circles (fallback) or as zoom-dependent clusters (clustering.js);
+ *     all three share the tooltip and selection logic.
+ *   - Aggregate modes: a kernel-density heatmap (QuakeHeatmapRenderer) and
+ *     hexagonal bins coloured by a selectable metric (hexbin.js).
+ *   - Every mode repeats quakes on each world copy in view, so the Pacific
+ *     stays intact when the map is panned across the antimeridian.
+ *   - Draws the depth-profile line and swath (profile.js) and shares hover
+ *     highlighting with the profile panel.
+ *   - In Sequence Mode a clicked quake opens the aftershock panel
+ *     (sequencePanel.js); the map outlines its search window.
+ *   - A selected quake opens the event detail panel (eventDetail.js) and is
+ *     marked in the event table (eventTable.js).
  */
 
 class LeafletMap {
@@ -27,7 +40,7 @@ class LeafletMap {
   initVis() {
     let vis = this;
 
-    vis.currentViewData = vis.data; // Save visible data before brushing
+    vis.domListeners = []; // [element, type, handler] triples removed by destroy()
     vis.defaultCenter = [20, 150];  // Default center
     vis.defaultZoom = 2.4;          // Default zoom
 
@@ -68,10 +81,15 @@ class LeafletMap {
     //   ext: "png",
     // });
 
+    const layerSelect = document.getElementById("base-layer-select");
+
     vis.theMap = L.map("my-map", {
       center: [20, 150],
       zoom: 2.4,
-      layers: [vis.baseLayers["Satellite (ESRI)"]],
+      // Keep whichever base layer the dropdown shows (matters when the map is rebuilt)
+      layers: [
+        vis.baseLayers[layerSelect.value] || vis.baseLayers["Satellite (ESRI)"],
+      ],
       maxBounds: [
         [-185, -310], // Southwest corner of bounds
         [185, 370], // Northeast corner of bounds
@@ -84,16 +102,10 @@ class LeafletMap {
     // Remove default top-right control (if you want)
     // L.control.layers(vis.baseLayers, null).addTo(vis.theMap);
 
-    const layerSelect = document.getElementById("base-layer-select");
-    layerSelect.addEventListener("change", function () {
-      const selectedLayer = vis.baseLayers[this.value];
-      if (selectedLayer) {
-        // Remove existing base layer(s)
-        Object.values(vis.baseLayers).forEach((layer) => {
-          if (vis.theMap.hasLayer(layer)) vis.theMap.removeLayer(layer);
-        });
-
-        vis.theMap.addLayer(selectedLayer);
+    vis.listen(layerSelect, "change", function () {
+      vis.setBaseLayer(this.value);
+      if (typeof scheduleUrlStateUpdate === "function") {
+        scheduleUrlStateUpdate();
       }
     });
 
@@ -110,182 +122,228 @@ class LeafletMap {
       .domain(d3.extent(vis.data, (d) => d.mag))
       .range([2, 10]); // Adjust as you like to highlight quake size
 
+    // Circles sized by magnitude (rScale) or by radiated energy; see radiusFor()
+    const sizeBySelect = document.getElementById("size-by-select");
+    vis.sizeBy = sizeBySelect.value;
+    vis.radius = vis.radiusFor(vis.data);
+    vis.listen(sizeBySelect, "change", function () {
+      vis.setSizeBy(this.value);
+      if (typeof scheduleUrlStateUpdate === "function") {
+        scheduleUrlStateUpdate();
+      }
+    });
+
     //initialize svg for d3 to add to map
     L.svg({ clickable: true }).addTo(vis.theMap); // we have to make the svg layer clickable
     vis.overlay = d3.select(vis.theMap.getPanes().overlayPane);
     vis.svg = vis.overlay.select("svg").attr("pointer-events", "auto");
 
-    //these are the city locations, displayed as a set of dots
-    vis.Dots = vis.svg
-      .selectAll("circle")
-      .data(vis.data)
-      .join("circle")
-      .attr("stroke", "black")
-      .attr("fill", (d) => vis.colorScale(d.mag))
-      .attr("r", (d) => vis.rScale(d.mag))
-      //Leaflet has to take control of projecting points.
-      //Here we are feeding the latitude and longitude coordinates to
-      //leaflet so that it can project them on the coordinates of the view.
-      //the returned conversion produces an x and y point.
-      //We have to select the the desired one using .x or .y
-      .attr(
-        "cx",
-        (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).x
-      )
-      .attr(
-        "cy",
-        (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).y
-      )
-      .on("mouseover", function (event, d) {
-        //function to add mouseover event
-        d3.select(this)
-          .transition() //D3 selects the object we have moused over in order to perform operations on it
-          .attr("fill", "red") //change the fill
-          .attr("r", (d) => vis.rScale(d.mag) * 1.6); //change radius to 1.6 times the original size (pops out kind of)
-
-        //create a tool tip
-        d3
-          .select("#tooltip")
-          .style("opacity", 1)
-          .style("z-index", 1000000).html(`
-                                <div><strong>Location:</strong> ${
-                                  d.place || "Unknown"
-                                }</div>
-                                <div><strong>Magnitude:</strong> ${d.mag}</div>
-                                <div><strong>Depth:</strong> ${d.depth} km</div>
-                                <div><strong>Time:</strong> ${d.time.toLocaleString()}</div>
-                            `);
-      })
-      .on("mousemove", (event) => {
-        //position the tooltip
-        d3.select("#tooltip")
-          .style("left", event.pageX + 10 + "px")
-          .style("top", event.pageY + 10 + "px");
-      })
-      .on("mouseleave", function () {
-        //function to add mouseover event
-        d3.select(this)
-          .transition() //D3 selects the object we have moused over in order to perform operations on it
-          .attr("fill", (d) => vis.colorScale(d.mag))
-          .attr("stroke", "black")
-          .attr("fill", (d) => vis.colorScale(d.mag))
-          .attr("r", (d) => vis.rScale(d.mag));
-
-        d3.select("#tooltip").style("opacity", 0); //turn off the tooltip
-      })
+    // Canvas renderer for large catalogs; SVG circles remain as a fallback mode
+    const renderModeSelect = document.getElementById("render-mode-select");
+    vis.renderMode = renderModeSelect.value;
+    vis.selectedQuake = null;
+    vis.hoveredQuake = null;
+    vis.clusterCellSize = 60; // px; clusters split apart as the zoom grows
+    vis.trail = null; // Playback fading: { time: ms, decayMs } or null
+    vis.canvasRenderer = new QuakeCanvasRenderer(vis.theMap, {
+      radius: (d) => vis.radius(d),
+      fill: (d) => vis.colorScale(d.mag),
+      opacity: (d) => vis.pointOpacity(d),
+      glow: (d) => vis.trailGlow(d),
+      errorRadius: (d) => vis.errorHaloRadius(d),
+    });
+
+    vis.heatmapRenderer = new QuakeHeatmapRenderer(vis.theMap, {});
+
+    const hexMetricSelect = document.getElementById("hex-metric-select");
+    vis.hexRadius = 18; // px
+    vis.hexMetric = HEX_METRICS[hexMetricSelect.value] ? hexMetricSelect.value : "count";
+    vis.listen(hexMetricSelect, "change", function () {
+      vis.setHexMetric(this.value);
+      if (typeof scheduleUrlStateUpdate === "function") {
+        scheduleUrlStateUpdate();
+      }
+    });
+
+    vis.listen(renderModeSelect, "change", function () {
+      vis.setRenderMode(this.value);
+      if (typeof scheduleUrlStateUpdate === "function") {
+        scheduleUrlStateUpdate();
+      }
+    });
+
+    // Canvas hit-testing: the canvas itself ignores the mouse, the map forwards it
+    vis.theMap.on("mousemove", function (e) {
+      if (vis.renderMode !== "canvas") return;
+      const d = vis.canvasRenderer.hitTest(e.containerPoint);
+      if (d !== vis.hoveredQuake) {
+        vis.hoveredQuake = d;
+        vis.updateCanvasHighlights();
+        vis.notifyHover(d);
+        vis.theMap.getContainer().style.cursor = d ? "pointer" : "";
+      }
+      if (d) vis.showTooltip(e.originalEvent, d);
+      else vis.hideTooltip();
+    });
+
+    vis.theMap.on("mouseout", function () {
+      if (vis.renderMode !== "canvas" || !vis.hoveredQuake) return;
+      vis.hoveredQuake = null;
+      vis.notifyHover(null);
+      vis.updateCanvasHighlights();
+      vis.hideTooltip();
+    });
+
+    vis.theMap.on("click", function (e) {
+      if (vis.renderMode !== "canvas") return;
+      const d = vis.canvasRenderer.hitTest(e.containerPoint);
+      if (d) vis.toggleSelection(d);
+    });
+
+    vis.updateVis();
 
-      .on("click", function (event, d) {
-        // If this quake is already selected, deselect it
-        const isAlreadySelected = d3.select(this).classed("selected");
-      
-        // Reset all circles
-        vis.Dots
-          .classed("selected", false)
-          .attr("r", (d) => vis.rScale(d.mag))
-          .attr("stroke", "black")
-          .attr("stroke-width", 1);
-      
-        if (!isAlreadySelected) {
-          // Highlight the clicked one
-          d3.select(this)
-            .classed("selected", true)
-            .raise()
-            .transition()
-            .duration(200)
-            .attr("r", vis.rScale(d.mag) * 2)
-            .attr("stroke", "white")
-            .attr("stroke-width", 2);
-      
-          if (typeof highlightLinkedCharts === "function") {
-            highlightLinkedCharts(d); // highlight in timeline + bar chart
-          }
-        } else {
-          // Deselect and remove any highlighting in charts
-          if (typeof clearChartHighlights === "function") {
-            clearChartHighlights(); // optional: write this to reset highlights
-          }
-        }
-      });
-      
-           
-    
     //handler here for updating the map, as you zoom in and out
+    //(the canvas renderer repaints itself on moveend)
     vis.theMap.on("zoomend", function () {
-      vis.updateVis();
+      vis.renderSvgMode();
+    });
+
+    // Keep the shareable URL in step with panning/zooming
+    vis.theMap.on("moveend", function () {
+      // Panning past ±180° brings another world copy into view
+      if (vis.worldOffsets().join() !== vis.renderedOffsets) vis.renderSvgMode();
+
+      if (typeof scheduleUrlStateUpdate === "function") {
+        scheduleUrlStateUpdate();
+      }
     });
 
-    vis.brushRect = null;
+    vis.brushDraft = null; // Shape being drawn, until the mouse is released
+    vis.selectionLayer = L.layerGroup().addTo(vis.theMap); // filterState.selection
+    vis.profileLayer = L.layerGroup().addTo(vis.theMap); // profile.js line + swath
+    vis.sequenceLayer = L.layerGroup().addTo(vis.theMap); // sequencePanel.js window
 
     let isBrushMode = false;
 
     const toggleButton = document.getElementById("toggle-mode-btn");
     const resetButton = document.getElementById("reset-map-btn");
+    const brushTools = document.getElementById("brush-tools");
+    const toolSelect = document.getElementById("brush-tool-select");
+    const opSelect = document.getElementById("brush-op-select");
+    const radiusInput = document.getElementById("brush-radius-input");
 
-    toggleButton.addEventListener("click", () => {
+    toggleButton.textContent = "Brush Mode";
+    brushTools.classList.add("hidden");
+    vis.listen(toggleButton, "click", () => {
       isBrushMode = !isBrushMode;
       if (isBrushMode) {
-        vis.currentViewData = vis.data;
         vis.currentCenter = vis.theMap.getCenter();
         vis.currentZoom = vis.theMap.getZoom();
       }    
       
       toggleButton.textContent = isBrushMode ? "Pan Mode" : "Brush Mode";
+      brushTools.classList.toggle("hidden", !isBrushMode);
       vis.theMap.dragging[isBrushMode ? "disable" : "enable"]();
     });
 
-    resetButton.addEventListener("click", () => {
-      if (vis.brushRect) {
-        vis.theMap.removeLayer(vis.brushRect);
-        vis.brushRect = null;
-      }
-      vis.setData(vis.currentViewData);
-      updateAllCharts(vis.currentViewData);
-      updateEarthquakeChart(
-        d3.min(vis.currentViewData, (d) => d.time),
-        d3.max(vis.currentViewData, (d) => d.time)
-      );
+    // The km box only matters for the radius tool; a profile line doesn't filter
+    vis.listen(toolSelect, "change", function () {
+      radiusInput.parentElement.classList.toggle("hidden", this.value !== "radius");
+      opSelect.classList.toggle("hidden", this.value === "profile");
+    });
+
+    vis.listen(resetButton, "click", () => {
+      vis.clearBrushDraft();
+      if (filterState.selection.length > 0) clearFilter("region");
       vis.theMap.setView(vis.currentCenter || vis.defaultCenter, vis.currentZoom || vis.defaultZoom);
-      
+      if (typeof scheduleUrlStateUpdate === "function") {
+        scheduleUrlStateUpdate();
+      }
     });
 
 
+    // Rectangle: drag a box. Lasso: drag a freehand outline. Radius: click a
+    // centre for "within N km", or drag out the radius. Profile: drag A to B.
     vis.theMap.on("mousedown", function (e) {
       if (!isBrushMode) return;
     
-      if (vis.brushRect) {
-        vis.theMap.removeLayer(vis.brushRect);
-        vis.brushRect = null;
-      }
+      vis.clearBrushDraft();
     
+      const tool = toolSelect.value;
+      const mode = opSelect.value;
+      const style = SELECTION_STYLES[mode === "subtract" ? "subtract" : "add"];
       const startLatLng = e.latlng;
+      const lasso = [[startLatLng.lat, startLatLng.lng]];
+      let endLatLng = startLatLng;
+      let lastPoint = e.containerPoint;
+      let dragged = false;
     
       function onMouseMove(ev) {
-        const endLatLng = ev.latlng;
-        if (vis.brushRect) vis.theMap.removeLayer(vis.brushRect);
+        // Ignore hand jitter; also keeps lasso outlines to a sensible vertex count
+        if (ev.containerPoint.distanceTo(lastPoint) < 3) return;
+        dragged = true;
+        lastPoint = ev.containerPoint;
+        endLatLng = ev.latlng;
+        vis.clearBrushDraft();
     
-        vis.brushRect = L.rectangle(L.latLngBounds(startLatLng, endLatLng), {
-          color: "#fb5c6a",
-          weight: 2,
-          fillOpacity: 0.1,
-        }).addTo(vis.theMap);
+        if (tool === "lasso") {
+          lasso.push([endLatLng.lat, endLatLng.lng]);
+          vis.brushDraft = L.polygon(lasso, style);
+        } else if (tool === "profile") {
+          vis.brushDraft = L.polyline(
+            greatCirclePoints(startLatLng.lat, startLatLng.lng, endLatLng.lat, endLatLng.lng, 32),
+            { color: "#ffd43b", weight: 3, interactive: false }
+          );
+        } else if (tool === "radius") {
+          const km = haversineKm(
+            startLatLng.lat, startLatLng.lng, endLatLng.lat, endLatLng.lng
+          );
+          radiusInput.value = Math.max(1, Math.round(km));
+          vis.brushDraft = L.circle(startLatLng, { ...style, radius: km * 1000 });
+        } else {
+          vis.brushDraft = L.rectangle(L.latLngBounds(startLatLng, endLatLng), style);
+        }
+        vis.brushDraft.addTo(vis.theMap);
       }
     
-      function onMouseUp(ev) {
+      function onMouseUp() {
         vis.theMap.off("mousemove", onMouseMove);
         vis.theMap.off("mouseup", onMouseUp);
+        vis.clearBrushDraft();
     
-        if (!vis.brushRect) return;
+        if (tool === "profile") {
+          if (dragged) {
+            setProfileLine(
+              [startLatLng.lat, startLatLng.lng],
+              [endLatLng.lat, endLatLng.lng]
+            );
+          }
+          return;
+        }
     
-        const bounds = vis.brushRect.getBounds();
-        const filtered = vis.currentViewData.filter((d) =>
-          bounds.contains(L.latLng(d.latitude, d.longitude))
-        );
+        if (tool === "radius") {
+          const km = +radiusInput.value;
+          if (km > 0) {
+            addSelectionShape(
+              createCircleShape(startLatLng.lat, startLatLng.lng, km),
+              mode
+            );
+          }
+          return;
+        }
     
-        vis.setData(filtered);
-        updateAllCharts(filtered);
-        updateEarthquakeChart(
-          d3.min(filtered, (d) => d.time),
-          d3.max(filtered, (d) => d.time)
+        // A click without dragging clears the region selection
+        if (!dragged || (tool === "lasso" && lasso.length < 3)) {
+          if (filterState.selection.length > 0) clearFilter("region");
+          return;
+        }
+    
+        // The brush only sets the region; filterState intersects it with the rest
+        addSelectionShape(
+          tool === "lasso"
+            ? createPolygonShape(lasso)
+            : createRectShape(L.latLngBounds(startLatLng, endLatLng)),
+          mode
         );
       }
     
@@ -296,6 +354,66 @@ class LeafletMap {
 
   }
 
+  /**
+   * Adds a DOM event listener and remembers it so destroy() can remove it.
+   */
+  listen(element, type, handler) {
+    element.addEventListener(type, handler);
+    this.domListeners.push([element, type, handler]);
+  }
+
+  /**
+   * Removes the Leaflet map and every DOM listener this instance added, so a
+   * new LeafletMap can be built in the same container (e.g. on dataset switch).
+   */
+  destroy() {
+    let vis = this;
+
+    vis.domListeners.forEach(([element, type, handler]) =>
+      element.removeEventListener(type, handler)
+    );
+    vis.domListeners = [];
+    vis.canvasRenderer.remove();
+    vis.heatmapRenderer.remove();
+    vis.theMap.remove();
+  }
+
+  /**
+   * Swaps the tile layer shown under the quakes and keeps the dropdown in sync.
+   */
+  setBaseLayer(name) {
+    let vis = this;
+    const selectedLayer = vis.baseLayers[name];
+    if (!selectedLayer) return;
+
+    // Remove existing base layer(s)
+    Object.values(vis.baseLayers).forEach((layer) => {
+      if (vis.theMap.hasLayer(layer)) vis.theMap.removeLayer(layer);
+    });
+
+    vis.theMap.addLayer(selectedLayer);
+    document.getElementById("base-layer-select").value = name;
+  }
+
+  /**
+   * Draws the selection shapes (filterState.selection) on the map; used after
+   * each brush and when a selection is restored from a shared URL.
+   */
+  showSelection(selection) {
+    let vis = this;
+
+    vis.selectionLayer.clearLayers();
+    selection.forEach((entry) => vis.selectionLayer.addLayer(selectionShapeLayer(entry)));
+  }
+
+  clearBrushDraft() {
+    let vis = this;
+    if (vis.brushDraft) {
+      vis.theMap.removeLayer(vis.brushDraft);
+      vis.brushDraft = null;
+    }
+  }
+
   setData(newData) {
     this.data = newData;
     this.updateVis(); // Re-render everything when switching years
@@ -307,69 +425,684 @@ class LeafletMap {
     // Update scales in case magnitude range changed
     vis.colorScale.domain(d3.extent(vis.data, (d) => d.mag));
     vis.rScale.domain(d3.extent(vis.data, (d) => d.mag));
+    vis.radius = vis.radiusFor(vis.data);
+
+    // Forget a selection that the filters removed from the map
+    if (vis.selectedQuake && !vis.data.includes(vis.selectedQuake)) {
+      vis.selectedQuake = null;
+    }
+    vis.hoveredQuake = null;
+
+    // Clear whatever the other modes left in the SVG overlay / canvas panes
+    const mode = vis.renderMode;
+    if (mode !== "svg") vis.svg.selectAll("g.world-copy").remove();
+    if (mode !== "clusters") vis.svg.selectAll("g.cluster").remove();
+    if (mode !== "hexbin") vis.svg.selectAll("path.hexbin").remove();
+    vis.canvasRenderer.setVisible(mode === "canvas");
+    vis.heatmapRenderer.setVisible(mode === "heatmap");
+    document
+      .getElementById("hex-metric-select")
+      .classList.toggle("hidden", mode !== "hexbin");
+    document
+      .getElementById("size-by-select")
+      .classList.toggle("hidden", mode !== "canvas" && mode !== "svg");
+
+    if (mode === "canvas") {
+      vis.canvasRenderer.setData(vis.data);
+      vis.updateCanvasHighlights();
+    } else if (mode === "heatmap") {
+      vis.heatmapRenderer.setData(vis.data);
+    } else {
+      vis.renderSvgMode();
+    }
+  }
+
+  /**
+   * Re-renders whichever SVG-based mode is active (after zooms, and after pans
+   * that change the world copies in view); the canvas modes redraw themselves.
+   */
+  renderSvgMode() {
+    let vis = this;
+    if (vis.renderMode === "svg") vis.renderSvgPoints();
+    else if (vis.renderMode === "clusters") vis.renderClusters();
+    else if (vis.renderMode === "hexbin") vis.renderHexbins();
+  }
+
+  /**
+   * Longitude offsets of the world copies in view (padded so a short pan
+   * doesn't immediately need a re-render).
+   */
+  worldOffsets() {
+    const bounds = this.theMap.getBounds().pad(0.25);
+    return worldCopyOffsets(bounds.getWest(), bounds.getEast());
+  }
+
+  /**
+   * Every world copy in view of every quake, as { x, y, d } in world pixels
+   * at the current zoom (input for the clustering and hex binning).
+   */
+  projectWorldCopies() {
+    let vis = this;
+    const zoom = vis.theMap.getZoom();
+    const worldWidth = vis.theMap.getPixelWorldBounds().getSize().x;
+    const offsets = vis.worldOffsets();
+    const shifts = offsets.map((offset) => (offset / 360) * worldWidth);
+    const points = [];
+
+    vis.data.forEach((d) => {
+      const p = vis.theMap.project([d.latitude, d.longitude], zoom);
+      shifts.forEach((shift) => points.push({ x: p.x + shift, y: p.y, d }));
+    });
+    vis.renderedOffsets = offsets.join();
+    return points;
+  }
+
+  /**
+   * Switches between the canvas renderer ("canvas"), SVG circles ("svg"),
+   * clusters ("clusters"), the density heatmap ("heatmap") and hex bins ("hexbin").
+   */
+  setRenderMode(mode) {
+    let vis = this;
+    const select = document.getElementById("render-mode-select");
+    if (!Array.from(select.options).some((o) => o.value === mode)) return;
+
+    vis.renderMode = mode;
+    select.value = mode;
+    vis.updateVis();
+  }
+
+  /**
+   * One SVG circle per quake (the fallback renderer). Circles are re-projected
+   * on every call, so this also runs after each zoom. Each world copy in view
+   * is a <g> shifted by a whole world width.
+   */
+  renderSvgPoints() {
+    let vis = this;
+    const offsets = vis.worldOffsets();
+    const worldWidth = vis.theMap.getPixelWorldBounds().getSize().x;
+    vis.renderedOffsets = offsets.join();
+
+    const copies = vis.svg
+      .selectAll("g.world-copy")
+      .data(offsets, (offset) => offset)
+      .join("g")
+      .attr("class", "world-copy")
+      .attr("transform", (offset) => `translate(${(offset / 360) * worldWidth},0)`);
 
-    // Re-bind circles to new data
-    vis.Dots = vis.svg
-      .selectAll("circle")
+    // Horizontal-error halos underneath the circles (quality.js toggle)
+    const halos = qualityDisplay.showErrors ? vis.data.filter((d) => d.horizontalError > 0) : [];
+    copies
+      .selectAll("circle.error-halo")
+      .data(halos, (d) => d.id)
+      .join((enter) => enter.insert("circle", "circle.quake").attr("class", "error-halo"))
+      .attr("r", (d) => vis.errorHaloRadius(d))
+      .attr("cx", (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).x)
+      .attr("cy", (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).y);
+
+    vis.Dots = copies
+      .selectAll("circle.quake")
       .data(vis.data, (d) => d.id) // use a key if available to help D3 track elements
-      .join(
-        (enter) =>
-          enter
-            .append("circle")
-            .attr("stroke", "black")
-            .attr("fill", (d) => vis.colorScale(d.mag))
-            .attr("r", (d) => vis.rScale(d.mag))
-            .attr(
-              "cx",
-              (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).x
-            )
-            .attr(
-              "cy",
-              (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).y
-            )
-            .on("mouseover", function (event, d) {
-              d3.select(this)
-                .transition()
-                .attr("fill", "red")
-                .attr("r", 4);
-
-              d3
-                .select("#tooltip")
-                .style("opacity", 1)
-                .style("z-index", 1000000).html(`
-                  <div><strong>Location:</strong> ${d.place || "Unknown"}</div>
-                  <div><strong>Magnitude:</strong> ${d.mag}</div>
-                  <div><strong>Depth:</strong> ${d.depth} km</div>
-                  <div><strong>Time:</strong> ${d.time.toLocaleString()}</div>
-                `);
-            })
-            .on("mousemove", (event) => {
-              d3.select("#tooltip")
-                .style("left", event.pageX + 10 + "px")
-                .style("top", event.pageY + 10 + "px");
-            })
-            .on("mouseleave", function () {
-              d3.select(this)
-                .transition()
-                .attr("fill", (d) => vis.colorScale(d.mag))
-                .attr("r", (d) => vis.rScale(d.mag));
-
-              d3.select("#tooltip").style("opacity", 0);
-            }),
-        (update) =>
-          update
-            .attr("fill", (d) => vis.colorScale(d.mag))
-            .attr("r", (d) => vis.rScale(d.mag))
-            .attr(
-              "cx",
-              (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).x
-            )
-            .attr(
-              "cy",
-              (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).y
-            ),
-        (exit) => exit.remove()
+      .join((enter) =>
+        enter
+          .append("circle")
+          .attr("class", "quake")
+          .on("mouseover", function (event, d) {
+            d3.select(this)
+              .raise()
+              .transition()
+              .attr("fill", "red")
+              .attr("r", vis.radius(d) * 1.6); // pops out kind of
+
+            vis.showTooltip(event, d);
+            vis.notifyHover(d);
+          })
+          .on("mousemove", (event) => vis.moveTooltip(event))
+          .on("mouseleave", function (event, d) {
+            d3.select(this)
+              .transition()
+              .attr("fill", vis.colorScale(d.mag))
+              .attr("r", vis.svgRadius(d));
+
+            vis.hideTooltip();
+            vis.notifyHover(null);
+          })
+          .on("click", (event, d) => vis.toggleSelection(d))
+      )
+      .attr("fill", (d) => vis.colorScale(d.mag))
+      .attr("fill-opacity", (d) => vis.pointOpacity(d))
+      .attr("r", (d) => vis.svgRadius(d))
+      .attr("stroke", (d) => (d === vis.selectedQuake ? "white" : "black"))
+      .attr("stroke-width", (d) => (d === vis.selectedQuake ? 2 : 1))
+      //Leaflet has to take control of projecting points.
+      //Here we are feeding the latitude and longitude coordinates to
+      //leaflet so that it can project them on the coordinates of the view.
+      .attr(
+        "cx",
+        (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).x
+      )
+      .attr(
+        "cy",
+        (d) => vis.theMap.latLngToLayerPoint([d.latitude, d.longitude]).y
       );
+
+    vis.Dots.filter((d) => d === vis.selectedQuake).raise();
+  }
+
+  /**
+   * Playback trails: quakes fade out over trail.decayMs after their time and
+   * the newest ones glow. Takes effect on the next setData(); null turns the
+   * fading off.
+   */
+  setTrail(trail) {
+    this.trail = trail;
+  }
+
+  // Fading by age within the decay window (trailOpacity/trailGlow, playback.js)
+  trailOpacity(d) {
+    if (!this.trail) return 1;
+    return trailOpacity((this.trail.time - d.time) / this.trail.decayMs);
+  }
+
+  trailGlow(d) {
+    if (!this.trail) return 0;
+    return trailGlow((this.trail.time - d.time) / this.trail.decayMs);
+  }
+
+  // Trail fading combined with the fading of poorly constrained events (quality.js)
+  pointOpacity(d) {
+    return this.trailOpacity(d) * qualityOpacity(d);
+  }
+
+  /**
+   * Radius in screen pixels of the event's horizontal error at the current
+   * zoom, or 0 when error halos are off or the catalog gives no error.
+   */
+  errorHaloRadius(d) {
+    if (!qualityDisplay.showErrors || !(d.horizontalError > 0)) return 0;
+    // Web Mercator scale at the event's latitude
+    const metresPerPixel =
+      (2 * Math.PI * L.CRS.Earth.R * Math.cos((d.latitude * Math.PI) / 180)) /
+      (256 * Math.pow(2, this.theMap.getZoom()));
+    return (d.horizontalError * 1000) / metresPerPixel;
+  }
+
+  svgRadius(d) {
+    return this.radius(d) * (d === this.selectedQuake ? 2 : 1);
+  }
+
+  /**
+   * Radius function for circles fitted to events: linear in magnitude, or
+   * with sizeBy "energy" an area proportional to radiated energy
+   * (seismicEnergy.js), so the largest events dominate as they do in nature.
+   */
+  radiusFor(events) {
+    if (this.sizeBy === "energy") {
+      const scale = d3
+        .scaleSqrt()
+        .domain([0, d3.max(events, quakeEnergy) || 1])
+        .range([0, 30]);
+      return (d) => Math.max(1.5, scale(quakeEnergy(d)));
+    }
+    const scale = this.rScale.copy().domain(d3.extent(events, (d) => d.mag));
+    return (d) => scale(d.mag);
+  }
+
+  setSizeBy(sizeBy) {
+    let vis = this;
+    if (sizeBy !== "magnitude" && sizeBy !== "energy") return;
+
+    vis.sizeBy = sizeBy;
+    document.getElementById("size-by-select").value = sizeBy;
+    vis.updateVis();
+  }
+
+  /**
+   * Cluster mode: one SVG bubble per group of nearby quakes at the current
+   * zoom, labelled with its count and coloured by its largest magnitude.
+   * A "cluster" of one is drawn like an ordinary quake circle.
+   */
+  renderClusters() {
+    let vis = this;
+    const origin = vis.theMap.getPixelOrigin(); // World pixels -> layer points
+
+    vis.clusters = clusterQuakes(vis.projectWorldCopies(), vis.clusterCellSize);
+
+    const countScale = d3
+      .scaleSqrt()
+      .domain([2, d3.max(vis.clusters, (c) => c.count) || 2])
+      .range([11, 28]);
+    const radius = (c) =>
+      c.count === 1 ? vis.svgRadius(c.largest) : countScale(c.count);
+
+    vis.svg
+      .selectAll("g.cluster")
+      .data(vis.clusters, (c) => c.key)
+      .join((enter) => {
+        const g = enter.append("g").attr("class", "cluster");
+        g.append("circle");
+        g.append("text").attr("class", "cluster-count");
+        g.append("text").attr("class", "cluster-mag");
+        return g
+          .on("mouseover", function (event, c) {
+            d3.select(this).raise().select("circle").attr("stroke", "red");
+            if (c.count === 1) {
+              vis.showTooltip(event, c.largest);
+              vis.notifyHover(c.largest);
+            } else {
+              vis.showClusterTooltip(event, c);
+            }
+          })
+          .on("mousemove", (event) => vis.moveTooltip(event))
+          .on("mouseleave", function (event, c) {
+            d3.select(this)
+              .select("circle")
+              .attr("stroke", c.largest === vis.selectedQuake ? "white" : "black");
+            vis.hideTooltip();
+            vis.notifyHover(null);
+          })
+          .on("click", (event, c) => {
+            if (c.count === 1) vis.toggleSelection(c.largest);
+            else vis.onClusterClick(event, c);
+          });
+      })
+      .attr("transform", (c) => `translate(${c.x - origin.x},${c.y - origin.y})`)
+      .call((g) => {
+        g.select("circle")
+          .attr("r", radius)
+          .attr("fill", (c) => vis.colorScale(c.maxMag))
+          .attr("fill-opacity", (c) => (c.count === 1 ? 1 : 0.85))
+          .attr("stroke", (c) => (c.largest === vis.selectedQuake ? "white" : "black"))
+          .attr("stroke-width", (c) => (c.largest === vis.selectedQuake ? 2 : 1));
+        g.select(".cluster-count")
+          .attr("dy", "-0.1em")
+          .text((c) => (c.count === 1 ? "" : d3.format(",")(c.count)));
+        g.select(".cluster-mag")
+          .attr("dy", "1em")
+          .text((c) => (c.count === 1 ? "" : `M${c.maxMag.toFixed(1)}`));
+      });
+  }
+
+  /**
+   * Hexbin mode: quakes binned into screen-space hexagons at the current zoom,
+   * each coloured by the selected HEX_METRICS entry.
+   */
+  renderHexbins() {
+    let vis = this;
+    const origin = vis.theMap.getPixelOrigin();
+    const metric = HEX_METRICS[vis.hexMetric];
+
+    vis.hexbins = hexbinQuakes(vis.projectWorldCopies(), vis.hexRadius);
+    vis.hexbins.forEach((bin) => (bin.value = metric.value(bin.members)));
+
+    const color = (metric.log ? d3.scaleSequentialLog() : d3.scaleSequential())
+      .domain(d3.extent(vis.hexbins, (bin) => bin.value))
+      .interpolator(metric.interpolator);
+
+    vis.svg
+      .selectAll("path.hexbin")
+      .data(vis.hexbins, (bin) => bin.key)
+      .join((enter) =>
+        enter
+          .append("path")
+          .attr("class", "hexbin")
+          .on("mouseover", function (event, bin) {
+            d3.select(this).raise().attr("stroke", "red").attr("stroke-width", 2);
+            vis.showHexbinTooltip(event, bin);
+          })
+          .on("mousemove", (event) => vis.moveTooltip(event))
+          .on("mouseleave", function () {
+            d3.select(this).attr("stroke", "black").attr("stroke-width", 0.5);
+            vis.hideTooltip();
+          })
+      )
+      .attr("d", hexagonPath(vis.hexRadius - 0.5))
+      .attr("transform", (bin) => `translate(${bin.x - origin.x},${bin.y - origin.y})`)
+      .attr("fill", (bin) => color(bin.value))
+      .attr("fill-opacity", 0.75)
+      .attr("stroke", "black")
+      .attr("stroke-width", 0.5);
+  }
+
+  setHexMetric(metric) {
+    let vis = this;
+    if (!HEX_METRICS[metric]) return;
+
+    vis.hexMetric = metric;
+    document.getElementById("hex-metric-select").value = metric;
+    if (vis.renderMode === "hexbin") vis.renderHexbins();
+  }
+
+  showHexbinTooltip(event, bin) {
+    const rows = Object.entries(HEX_METRICS)
+      .map(([key, metric]) => {
+        const value = key === this.hexMetric ? bin.value : metric.value(bin.members);
+        return `<div><strong>${metric.label}:</strong> ${metric.format(value)}</div>`;
+      })
+      .join("");
+
+    d3.select("#tooltip").style("opacity", 1).style("z-index", 1000000).html(rows);
+    this.moveTooltip(event);
+  }
+
+  /**
+   * Click zooms to the cluster's extent; Shift+click (or a click when there
+   * is nothing left to zoom into) filters every view to the cluster's members.
+   */
+  onClusterClick(event, c) {
+    let vis = this;
+
+    // Members may sit on both sides of ±180°; keep them on the clicked copy
+    const center = vis.theMap.unproject([c.x, c.y], vis.theMap.getZoom());
+    const bounds = L.latLngBounds(
+      c.members.map((d) => [d.latitude, wrapLongitude(d.longitude, center.lng - 180)])
+    );
+    const canZoom =
+      vis.theMap.getZoom() < vis.theMap.getMaxZoom() &&
+      !bounds.getNorthEast().equals(bounds.getSouthWest());
+
+    if (event.shiftKey || !canZoom) {
+      vis.hideTooltip();
+      setClusterFilter(
+        c.members,
+        `${d3.format(",")(c.count)} events near ${formatBounds(bounds)}`
+      );
+    } else {
+      vis.theMap.fitBounds(bounds.pad(0.2));
+    }
+  }
+
+  /**
+   * Cluster tooltip: count, largest magnitude and a mini histogram over the
+   * same magnitude buckets as the bar chart (getMagnitudeBuckets).
+   */
+  showClusterTooltip(event, c) {
+    const tooltip = d3.select("#tooltip").style("opacity", 1).style("z-index", 1000000).text("");
+    tooltip.append("div").append("strong").text(`${d3.format(",")(c.count)} earthquakes`);
+    this.appendTooltipRow(tooltip, "Max magnitude", c.maxMag);
+    this.appendTooltipRow(tooltip, "Largest", c.largest.place || "Unknown");
+
+    const buckets = Object.entries(getMagnitudeBuckets(c.members));
+    const width = 180;
+    const height = 70;
+    const margin = { top: 12, right: 4, bottom: 14, left: 4 };
+
+    const x = d3
+      .scaleBand()
+      .domain(buckets.map(([label]) => label))
+      .range([margin.left, width - margin.right])
+      .padding(0.15);
+    const y = d3
+      .scaleLinear()
+      .domain([0, d3.max(buckets, ([, count]) => count) || 1])
+      .range([height - margin.bottom, margin.top]);
+
+    const bars = tooltip
+      .append("svg")
+      .attr("class", "cluster-histogram")
+      .attr("width", width)
+      .attr("height", height)
+      .selectAll("g")
+      .data(buckets)
+      .join("g");
+
+    bars
+      .append("rect")
+      .attr("x", ([label]) => x(label))
+      .attr("y", ([, count]) => y(count))
+      .attr("width", x.bandwidth())
+      .attr("height", ([, count]) => y(0) - y(count))
+      .attr("fill", "#01d1ff");
+
+    bars
+      .append("text")
+      .attr("x", ([label]) => x(label) + x.bandwidth() / 2)
+      .attr("y", ([, count]) => y(count) - 2)
+      .text(([, count]) => (count ? count : ""));
+
+    bars
+      .append("text")
+      .attr("x", ([label]) => x(label) + x.bandwidth() / 2)
+      .attr("y", height - 3)
+      .text(([label]) => label.split("–")[0]); // "3.0", ..., "8.0+"
+
+    this.moveTooltip(event);
+  }
+
+  /**
+   * Selecting a quake enlarges it and highlights its bars in the charts;
+   * selecting it again clears the selection.
+   */
+  toggleSelection(d) {
+    let vis = this;
+    vis.selectedQuake = vis.selectedQuake === d ? null : d;
+
+    if (vis.renderMode === "canvas") vis.updateCanvasHighlights();
+    else if (vis.renderMode === "clusters") vis.renderClusters();
+    else vis.renderSvgPoints();
+
+    if (typeof scrollEventTableTo === "function") {
+      scrollEventTableTo(vis.selectedQuake); // mark (and scroll to) its table row
+    }
+    if (typeof showEventDetail === "function") {
+      showEventDetail(vis.selectedQuake); // detail panel; hidden when deselected
+    }
+
+    if (vis.selectedQuake) {
+      if (typeof highlightLinkedCharts === "function") {
+        highlightLinkedCharts(d); // highlight in timeline + bar chart
+      }
+      if (typeof handleSequenceClick === "function") {
+        handleSequenceClick(d); // aftershock panel, in Sequence Mode only
+      }
+    } else if (typeof clearChartHighlights === "function") {
+      clearChartHighlights(); // optional: write this to reset highlights
+    }
+  }
+
+  updateCanvasHighlights() {
+    let vis = this;
+    vis.canvasRenderer.setHighlights([
+      vis.selectedQuake && {
+        d: vis.selectedQuake,
+        fill: vis.colorScale(vis.selectedQuake.mag),
+        stroke: "white",
+        strokeWidth: 2,
+        scale: 2,
+      },
+      vis.hoveredQuake && {
+        d: vis.hoveredQuake,
+        fill: "red",
+        stroke: "black",
+        strokeWidth: 1,
+        scale: 1.6,
+      },
+    ]);
+  }
+
+  /**
+   * Highlights quake d on the map (null clears) while it is hovered somewhere
+   * else, e.g. in the depth profile. Cluster mode outlines its cluster.
+   */
+  highlightQuake(d) {
+    let vis = this;
+
+    if (vis.renderMode === "canvas") {
+      vis.hoveredQuake = d;
+      vis.updateCanvasHighlights();
+    } else if (vis.renderMode === "svg") {
+      const previous = vis.hoveredQuake;
+      vis.hoveredQuake = d;
+      vis.svg
+        .selectAll("circle.quake")
+        .filter((q) => q === d || q === previous)
+        .attr("fill", (q) => (q === d ? "red" : vis.colorScale(q.mag)))
+        .attr("r", (q) => (q === d ? vis.radius(q) * 1.6 : vis.svgRadius(q)))
+        .filter((q) => q === d)
+        .raise();
+    } else if (vis.renderMode === "clusters") {
+      vis.svg
+        .selectAll("g.cluster")
+        .select("circle")
+        .attr("stroke", (c) => {
+          if (d && c.members.includes(d)) return "red";
+          return c.largest === vis.selectedQuake ? "white" : "black";
+        });
+    }
+  }
+
+  // Lets the depth profile and the event table follow hovers on the map
+  notifyHover(d) {
+    if (typeof highlightProfileQuake === "function") highlightProfileQuake(d);
+    if (typeof markEventTableRow === "function") markEventTableRow(d);
+  }
+
+  /**
+   * Draws the profile line (great circle A–B) and its swath outline; null
+   * removes them.
+   */
+  showProfileLine(profile) {
+    let vis = this;
+    vis.profileLayer.clearLayers();
+    if (!profile) return;
+
+    const [startLat, startLng] = profile.start;
+    const [endLat, endLng] = profile.end;
+    const path = greatCirclePoints(startLat, startLng, endLat, endLng, 32);
+
+    // Swath edges: offset every path point sideways by half the width
+    const edge = (side) =>
+      path.map(([lat, lng], i) => {
+        const [nextLat, nextLng] = path[Math.min(i + 1, path.length - 1)];
+        const [prevLat, prevLng] = path[Math.max(i - 1, 0)];
+        const bearing = initialBearing(prevLat, prevLng, nextLat, nextLng);
+        const [eLat, eLng] = destinationPoint(lat, lng, bearing + side * 90, profile.widthKm / 2);
+        return [eLat, wrapLongitude(eLng, lng - 180)];
+      });
+
+    vis.profileLayer.addLayer(
+      L.polygon([...edge(1), ...edge(-1).reverse()], {
+        color: "#ffd43b",
+        weight: 1,
+        dashArray: "4 4",
+        fillOpacity: 0.08,
+        interactive: false,
+      })
+    );
+    vis.profileLayer.addLayer(
+      L.polyline(path, { color: "#ffd43b", weight: 3, interactive: false })
+    );
+    [["A", path[0]], ["B", path[path.length - 1]]].forEach(([label, latlng]) => {
+      vis.profileLayer.addLayer(
+        L.circleMarker(latlng, {
+          radius: 4,
+          color: "#ffd43b",
+          fillOpacity: 1,
+          interactive: false,
+        }).bindTooltip(label, { permanent: true, direction: "top", className: "profile-label" })
+      );
+    });
+  }
+
+  /**
+   * Outlines the aftershock search radius around a mainshock and rings its
+   * aftershocks; null removes them.
+   */
+  showSequenceWindow(sequence) {
+    let vis = this;
+    vis.sequenceLayer.clearLayers();
+    if (!sequence) return;
+
+    const { mainshock, window: win, aftershocks } = sequence;
+    vis.sequenceLayer.addLayer(
+      L.circle([mainshock.latitude, mainshock.longitude], {
+        radius: win.distanceKm * 1000,
+        color: "#f15969",
+        weight: 2,
+        dashArray: "6 4",
+        fillOpacity: 0.05,
+        interactive: false,
+      })
+    );
+    aftershocks.forEach(({ d }) => {
+      // Same world copy as the mainshock, even across the antimeridian
+      const lng = wrapLongitude(d.longitude, mainshock.longitude - 180);
+      vis.sequenceLayer.addLayer(
+        L.circleMarker([d.latitude, lng], {
+          radius: 3,
+          color: "#f15969",
+          weight: 1,
+          fill: false,
+          interactive: false,
+        })
+      );
+    });
+  }
+
+  // -------- Shared tooltip for both renderers --------
+  showTooltip(event, d) {
+    // "network us, magnitude type mb, event type earthquake, …" (facets.js)
+    const source = Object.entries(FACETS)
+      .map(([key, { label }]) => `${label.toLowerCase()} ${facetValue(d, key)}`)
+      .join(", ");
+    const boundary = describeNearestBoundary(d); // tectonics.js
+
+    const tooltip = d3.select("#tooltip").style("opacity", 1).style("z-index", 1000000).text("");
+    const rows = [
+      ["Location", d.place || "Unknown"],
+      ["Magnitude", d.mag],
+      ["Depth", `${d.depth} km`],
+      ["Time", d.time.toLocaleString()],
+      ["Source", source],
+      boundary && ["Nearest boundary (approx.)", boundary],
+      ...this.qualityTooltipRows(d),
+    ];
+    rows.filter(Boolean).forEach((row) => this.appendTooltipRow(tooltip, ...row));
+    tooltip.append("div").attr("class", "tooltip-hint").text("Click for full details");
+    this.moveTooltip(event);
+  }
+
+  /**
+   * Adds a "Label: value" line to the tooltip. Values go in as text: place
+   * names and catalog fields can come from any imported file.
+   */
+  appendTooltipRow(tooltip, label, value, className = null) {
+    const row = tooltip.append("div").attr("class", className);
+    row.append("strong").text(`${label}:`);
+    row.append("span").text(` ${value}`);
+  }
+
+  // Status, uncertainties and network geometry, with why an event is faded,
+  // as [label, value, className] rows for appendTooltipRow
+  qualityTooltipRows(d) {
+    const known = (key) => d[key] !== null && d[key] !== undefined;
+    const errors = [
+      ["horizontalError", "horiz."],
+      ["depthError", "depth"],
+      ["magError", "mag"],
+    ]
+      .filter(([key]) => known(key))
+      .map(([key, label]) => `±${formatQualityValue(key, d[key])} ${label}`);
+    const network = ["gap", "rms", "nst"]
+      .filter(known)
+      .map((key) => `${QUALITY_FILTERS[key].label} ${formatQualityValue(key, d[key])}`);
+    const issues = qualityIssues(d);
+
+    return [
+      d.status && ["Status", d.status],
+      errors.length && ["Errors", errors.join(", ")],
+      network.length && ["Network", network.join(", ")],
+      issues.length && ["Poorly constrained", issues.join("; "), "tooltip-warning"],
+    ].filter(Boolean);
+  }
+
+  moveTooltip(event) {
+    d3.select("#tooltip")
+      .style("left", event.pageX + 10 + "px")
+      .style("top", event.pageY + 10 + "px");
+  }
+
+  hideTooltip() {
+    d3.select("#tooltip").style("opacity", 0);
   }
 
   renderVis() {
@@ -2,6 +2,9 @@
  * File: main.js
  * Purpose:
  *   - Dynamically loads and filters earthquake data by month.
+ *   - Loads the catalogs listed in data/datasets.json and switches between them.
+ *   - Starts loading the manifest's map overlays (plate boundaries, faults;
+ *     see tectonics.js) and charts each event's distance to the nearest boundary.
  *   - Parses relevant fields and passes the data to the LeafletMap class.
  *   - Acts as the main entry point for bootstrapping the visualization.
  */
@@ -9,129 +12,364 @@ let fullData = []; // Store unfiltered full dataset
 let leafletMap;
 let isRangeMode = false;
 let monthsArray = [];
-let isAnimating = false;
-let intervalId = null;
+let isAnimating = false; // Playback running (paused counts as stopped)
 let currentTimeSeriesData = [];
 let currentTSStartDate, currentTSEndDate;
 let currentTimeFormat = "%Y-%m-%d"; // default
+let currentRange = null; // [startIndex, endIndex] into monthsArray while in range mode
+let rangeSliderListeners = null; // AbortController for the range slider's document listeners
+
+let datasets = []; // Catalog entries from data/datasets.json
+let currentDataset = null; // Entry currently shown on the map
+
+// Load the dataset manifest, fill the picker, then show the first catalog
+d3.json("data/datasets.json")
+  .then((manifest) => {
+    datasets = manifest.datasets || [];
+    if (datasets.length === 0) {
+      throw new Error("the manifest does not list any catalogs");
+    }
 
-const selectedMagnitudes = new Set();
-const selectedDepths = new Set();
-
-// Load CSV earthquake data asynchronously using D3
-d3.csv("data/4-10M_(1995-today).csv")
-  .then((data) => {
-    console.log("number of items: " + data.length); // Debugging: log count of records loaded
-
-    // Parse and clean all entries in the dataset
-    data.forEach((d) => {
-      // Convert string-based fields to numbers
-      d.latitude = +d.latitude;
-      d.longitude = +d.longitude;
-      d.depth = +d.depth;
-      d.mag = +d.mag;
-
-      // Parse time string into a proper Date object
-      d.time = new Date(d.time);
-
-      // Extract useful date components (used later for filtering/bucketing)
-      d.year = d.time.getFullYear();
-      d.month = d.time.getMonth(); // 0-based (Jan = 0)
-      d.day = d.time.getDate(); // 1–31
-    });
+    populateDatasetSelect(datasets);
+    initTectonicOverlays(manifest.overlays || []);
+
+    // Deep links (see urlState.js) can pick the catalog and restore the view
+    const state = readUrlState();
+    const entry = datasets.find((d) => d.id === state.ds) || datasets[0];
+    document.getElementById("dataset-select").value = entry.id;
+    return loadDataset(entry).then(() => restoreUrlState(state));
+  })
+  .catch((error) => {
+    console.error(error);
+    showDatasetStatus(
+      `Could not load the dataset list (data/datasets.json): ${error.message}`,
+      true
+    );
+  });
 
-    // Store the cleaned dataset in a global variable
-    fullData = data;
+// -------- Fills the dataset <select> and switches catalogs on change --------
+function populateDatasetSelect(entries) {
+  const select = document.getElementById("dataset-select");
 
-    // --- Initialize time series chart with a default range for first load ---
-    updateEarthquakeChart(new Date("2015-01-01"), new Date("2015-01-31"));
+  select.innerHTML = "";
+  entries.forEach((entry) => {
+    const option = document.createElement("option");
+    option.value = entry.id;
+    option.textContent = entry.label;
+    select.appendChild(option);
+  });
 
-    // --- Build a Set of unique months across the dataset ---
-    const uniqueMonthsSet = new Set();
-    fullData.forEach((d) => {
-      const monthKey = `${d.time.getFullYear()}-${String(
-        d.time.getMonth()
-      ).padStart(2, "0")}`;
-      uniqueMonthsSet.add(monthKey); // Format: "YYYY-MM"
+  select.onchange = function () {
+    const entry = datasets.find((d) => d.id === this.value);
+    if (entry) loadDataset(entry);
+  };
+}
+
+// -------- Fetches a catalog from the manifest and rebuilds every view --------
+function loadDataset(entry) {
+  showDatasetStatus(`Loading ${entry.label}…`, false);
+
+  // Imported catalogs are already parsed and kept in memory
+  const request = entry.records
+    ? Promise.resolve(entry.records)
+    : d3.csv(entry.path).then((data) => {
+        console.log("number of items: " + data.length); // Debugging: log count of records loaded
+        parseQuakes(data);
+        return data;
+      });
+
+  return request
+    .then((data) => {
+      if (data.length === 0) {
+        throw new Error("the file does not contain any events");
+      }
+
+      currentDataset = entry;
+      initVisualization(data);
+      hideDatasetStatus();
+    })
+    .catch((error) => {
+      console.error(error);
+      showDatasetStatus(
+        `Could not load "${entry.label}" (${entry.path || "imported file"}): ${error.message}`,
+        true
+      );
+
+      // Keep the picker in sync with what is still on screen
+      if (currentDataset) {
+        document.getElementById("dataset-select").value = currentDataset.id;
+      }
     });
+}
 
-    // --- Convert month strings back into Date objects and sort them chronologically ---
-    const uniqueMonthsSorted = Array.from(uniqueMonthsSet)
-      .map((key) => {
-        const [year, month] = key.split("-");
-        return new Date(+year, +month); // Create Date for each month
-      })
-      .sort((a, b) => a - b); // Ascending order
-
-    // Save globally to be used by both single and dual-slider controls
-    monthsArray = uniqueMonthsSorted;
-
-    // --- DOM references for the slider and label ---
-    const monthSlider = document.getElementById("monthSlider");
-    const monthLabel = document.getElementById("monthLabel");
-
-    // Configure slider bounds
-    monthSlider.min = 0;
-    monthSlider.max = monthsArray.length - 1;
-    monthSlider.value = monthsArray.length - 1; // Start with latest month
-
-    // Get the latest month (most recent in dataset)
-    const latestMonth = monthsArray[monthsArray.length - 1];
-    monthLabel.textContent = formatMonthLabel(latestMonth); // Label it
-
-    // --- Filter initial dataset to only entries from the latest month ---
-    const initialData = fullData.filter(
-      (d) =>
-        d.time.getFullYear() === latestMonth.getFullYear() &&
-        d.time.getMonth() === latestMonth.getMonth()
-    );
+// -------- Parses and cleans the raw CSV rows in place (see importer.js) --------
+function parseQuakes(data) {
+  data.forEach(normalizeQuake);
+}
+
+// -------- Builds the sorted list of months (as Dates) present in the data --------
+function buildMonthsArray(data) {
+  const uniqueMonthsSet = new Set();
+  data.forEach((d) => {
+    const monthKey = `${d.time.getFullYear()}-${String(
+      d.time.getMonth()
+    ).padStart(2, "0")}`;
+    uniqueMonthsSet.add(monthKey); // Format: "YYYY-MM"
+  });
+
+  // Convert month strings back into Date objects and sort them chronologically
+  return Array.from(uniqueMonthsSet)
+    .map((key) => {
+      const [year, month] = key.split("-");
+      return new Date(+year, +month); // Create Date for each month
+    })
+    .sort((a, b) => a - b); // Ascending order
+}
+
+// -------- Returns the first and last instant of the month containing date --------
+function getMonthRange(date) {
+  const startDate = new Date(date.getFullYear(), date.getMonth(), 1);
+  const endDate = new Date(
+    date.getFullYear(),
+    date.getMonth() + 1,
+    0,
+    23,
+    59,
+    59,
+    999
+  );
+  return [startDate, endDate];
+}
+
+// -------- (Re)builds slider, map and charts for a freshly loaded dataset --------
+function initVisualization(data) {
+  if (isAnimating) stopAnimation();
+
+  // Store the cleaned dataset in a global variable
+  fullData = data;
+  annotateBoundaryDistances(fullData); // Nulls until the plate boundaries load
+  resetFilterState();
+  timelineView = null;
+
+  // Save globally to be used by both single and dual-slider controls
+  monthsArray = buildMonthsArray(fullData);
+  const latestIndex = monthsArray.length - 1; // Start with latest month
+
+  // Throw away the previous map (tiles, overlay, listeners) before building a new one
+  if (leafletMap) leafletMap.destroy();
+  leafletMap = new LeafletMap(
+    { parentElement: "#my-map" },
+    filterDataByMonth(monthsArray[latestIndex])
+  );
+  if (profileLine) leafletMap.showProfileLine(profileLine); // Same line, new catalog
+  drawTectonicOverlays(); // Plate boundaries and faults on the new map
+  resetPlayback(d3.min(fullData, (d) => d.time), d3.max(fullData, (d) => d.time));
+  if (currentSequence) clearAftershockSequence(); // Its mainshock belongs to the old catalog
+  if (detailQuake) hideEventDetail(); // So does the event in the detail panel
+
+  // Rebuilding the single slider sets the time filter, which renders every view
+  collapseToSingleSlider(latestIndex);
+}
+
+// -------- Imports a local catalog file and shows it as a new dataset --------
+function importCatalogFile(file) {
+  showDatasetStatus(`Reading ${file.name}…`, false);
 
-    // --- Create the map using only this month's data ---
-    leafletMap = new LeafletMap({ parentElement: "#my-map" }, initialData);
-
-    // --- Hook up event for dragging the slider (single-thumb mode) ---
-    monthSlider.addEventListener("input", function () {
-      if (!isRangeMode) {
-        const index = +this.value;
-        const selectedMonth = monthsArray[index];
-
-        // Calculate start and end of the selected month
-        const startDate = new Date(
-          selectedMonth.getFullYear(),
-          selectedMonth.getMonth(),
-          1
-        );
-        const endDate = new Date(
-          selectedMonth.getFullYear(),
-          selectedMonth.getMonth() + 1,
-          0
-        );
-
-        // Update label to show selected month
-        monthLabel.textContent = formatMonthLabel(selectedMonth);
-
-        // Filter data to match selected month
-        const filteredData = fullData.filter(
-          (d) => d.time >= startDate && d.time <= endDate
-        );
-
-        // Push filtered data to map and charts
-        leafletMap.setData(filteredData);
-        console.log("called update" + " month:" + selectedMonth);
-        updateEarthquakeChart(startDate, endDate);
-        updateAllCharts(filteredData);
+  return file
+    .text()
+    .then((text) => {
+      const report = parseCatalogFile(file.name, text);
+      showImportReport(report);
+
+      if (report.records.length === 0) {
+        throw new Error("no valid events were found");
       }
+
+      const entry = {
+        id: `import-${datasets.length}`,
+        label: `Imported: ${file.name}`,
+        records: report.records,
+      };
+      datasets.push(entry);
+      populateDatasetSelect(datasets);
+      document.getElementById("dataset-select").value = entry.id;
+      return loadDataset(entry);
+    })
+    .catch((error) => {
+      console.error(error);
+      showDatasetStatus(`Could not import ${file.name}: ${error.message}`, true);
     });
+}
+
+// -------- Validation report for the last import (accepted vs rejected rows) --------
+function showImportReport(report) {
+  const maxListed = 500; // Keep the DOM small for badly broken files
+  const panel = document.getElementById("import-report");
+  const formatNames = { csv: "USGS CSV", geojson: "GeoJSON", quakeml: "QuakeML" };
+
+  panel.querySelector(".import-summary").textContent =
+    `${report.fileName} (${formatNames[report.format]}): ` +
+    `${report.records.length} of ${report.total} events imported, ` +
+    `${report.rejected.length} rejected.`;
+
+  const warnings = panel.querySelector(".import-warnings");
+  warnings.innerHTML = "";
+  report.warnings.forEach((warning) => {
+    const li = document.createElement("li");
+    li.textContent = warning;
+    warnings.appendChild(li);
+  });
 
-    // --- Expand into dual-thumb range mode on click ---
-    monthSlider.addEventListener("click", () => {
-      if (!isRangeMode) expandToCustomRangeSlider();
+  const tbody = panel.querySelector("tbody");
+  tbody.innerHTML = "";
+  report.rejected.slice(0, maxListed).forEach((r) => {
+    const tr = document.createElement("tr");
+    [r.row, r.id || "—", r.reason].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
     });
+    tbody.appendChild(tr);
+  });
 
-    // --- On initial load, also show corresponding magnitude/depth charts ---
-    updateAllCharts(initialData);
-  })
-  .catch((error) => console.error(error)); // Catch and log any CSV loading issues
+  panel.querySelector("table").classList.toggle("hidden", report.rejected.length === 0);
+  panel.querySelector(".import-more").textContent =
+    report.rejected.length > maxListed
+      ? `…and ${report.rejected.length - maxListed} more rejected rows.`
+      : "";
+  panel.classList.remove("hidden");
+}
+
+// -------- Drag-and-drop onto the map, or pick a file with the Import button --------
+function initCatalogImport() {
+  const mapContainer = document.getElementById("map-container");
+  const fileInput = document.getElementById("import-file-input");
+
+  document
+    .getElementById("import-btn")
+    .addEventListener("click", () => fileInput.click());
+
+  fileInput.addEventListener("change", function () {
+    if (this.files.length > 0) importCatalogFile(this.files[0]);
+    this.value = ""; // Allow re-importing the same file
+  });
+
+  mapContainer.addEventListener("dragover", (event) => {
+    event.preventDefault(); // Required for the drop event to fire
+    mapContainer.classList.add("drag-over");
+  });
+
+  mapContainer.addEventListener("dragleave", (event) => {
+    if (!mapContainer.contains(event.relatedTarget)) {
+      mapContainer.classList.remove("drag-over");
+    }
+  });
+
+  mapContainer.addEventListener("drop", (event) => {
+    event.preventDefault();
+    mapContainer.classList.remove("drag-over");
+    const file = event.dataTransfer.files[0];
+    if (file) importCatalogFile(file);
+  });
+
+  document
+    .getElementById("import-report-close")
+    .addEventListener("click", () =>
+      document.getElementById("import-report").classList.add("hidden")
+    );
+}
+
+initCatalogImport();
+
+// -------- Describes how the rows on the map were selected (export header) --------
+function getExportMetadata(rows) {
+  const formatDate = d3.timeFormat("%Y-%m-%d %H:%M");
+  const { time, selection, magnitudes, depths, boundaryDistances, boundaryTypes, cluster } =
+    filterState;
+
+  return {
+    dataset: currentDataset ? currentDataset.label : "unknown",
+    exported: new Date().toISOString(),
+    events: rows.length,
+    dateRange: time
+      ? `${formatDate(time.start)} to ${formatDate(time.end)}`
+      : "all",
+    selection: selection.map(describeSelectionEntry).join("; ") || "none",
+    cluster: cluster ? cluster.label : "none",
+    declustering: describeDeclusterFilter(),
+    quality: describeQualityFilter(),
+    facets: describeFacetFilter(),
+    magnitudeBuckets: Array.from(magnitudes).join("; ") || "all",
+    depthBuckets: Array.from(depths).join("; ") || "all",
+    boundaryDistanceBuckets: Array.from(boundaryDistances).join("; ") || "all",
+    boundaryTypes: Array.from(boundaryTypes).join("; ") || "all",
+  };
+}
+
+// -------- Export panel: writes the rows bound to the map as CSV/GeoJSON/KML --------
+function initExportPanel() {
+  const panel = document.getElementById("export-panel");
+  const summary = document.getElementById("export-summary");
+
+  function refreshSummary() {
+    const rows = leafletMap ? leafletMap.data : [];
+    const metadata = leafletMap ? getExportMetadata(rows) : {};
+    summary.innerHTML = "";
+    Object.entries(metadata).forEach(([key, value]) => {
+      const line = document.createElement("div");
+      const name = document.createElement("strong");
+      name.textContent = `${key}: `;
+      line.append(name, String(value));
+      summary.appendChild(line);
+    });
+  }
+
+  document.getElementById("export-btn").addEventListener("click", () => {
+    panel.classList.toggle("hidden");
+    if (!panel.classList.contains("hidden")) refreshSummary();
+  });
+
+  document
+    .getElementById("export-close")
+    .addEventListener("click", () => panel.classList.add("hidden"));
+
+  document.getElementById("export-download").addEventListener("click", () => {
+    if (!leafletMap) return;
+
+    const rows = leafletMap.data;
+    const formatKey = document.getElementById("export-format").value;
+    const baseName = `earthquakes-${currentDataset ? currentDataset.id : "export"}`;
+
+    refreshSummary();
+    exportQuakes(rows, getExportMetadata(rows), formatKey, baseName);
+  });
+}
+
+initExportPanel();
+
+// -------- All events / mainshocks only / dependents only, and the algorithm --------
+function initDeclusterControl() {
+  const showSelect = document.getElementById("decluster-select");
+  const algorithmSelect = document.getElementById("decluster-algorithm-select");
+  const onChange = () => setDeclusterFilter(showSelect.value, algorithmSelect.value);
+
+  showSelect.addEventListener("change", onChange);
+  algorithmSelect.addEventListener("change", onChange);
+}
+
+initDeclusterControl();
+
+// -------- In-page status/error banner for dataset loading --------
+function showDatasetStatus(message, isError) {
+  const status = document.getElementById("dataset-status");
+  status.textContent = message;
+  status.classList.toggle("error", isError);
+  status.classList.remove("hidden");
+}
+
+function hideDatasetStatus() {
+  document.getElementById("dataset-status").classList.add("hidden");
+}
 
 // -------- Utility to format a Date into "Mon YYYY" (e.g., "Jan 2024") for slider labels --------
 function formatMonthLabel(date) {
@@ -151,13 +389,19 @@ function filterDataByMonth(date) {
 }
 
 // -------- Expands the single-thumb slider into a dual-thumb (range) slider --------
-function expandToCustomRangeSlider() {
+// applyTime = false only positions the thumbs (the window was set elsewhere, e.g. the timeline)
+function expandToCustomRangeSlider(initialStart, initialEnd, applyTime = true) {
+  // A single-month catalog has no range to pick (and no track length to divide by)
+  if (monthsArray.length < 2) return;
   isRangeMode = true;
+  if (rangeSliderListeners) rangeSliderListeners.abort(); // Drop the listeners of the slider being replaced
 
   // Get current index from slider, default range is centered around it (±1 month)
-  const currentIndex = +document.getElementById("monthSlider").value;
-  let startIndex = Math.max(0, currentIndex - 1);
-  let endIndex = Math.min(monthsArray.length - 1, currentIndex + 1);
+  // (already in range mode when the timeline moves both thumbs)
+  const monthSlider = document.getElementById("monthSlider");
+  const currentIndex = monthSlider ? +monthSlider.value : currentRange[0];
+  let startIndex = initialStart ?? Math.max(0, currentIndex - 1);
+  let endIndex = initialEnd ?? Math.min(monthsArray.length - 1, currentIndex + 1);
 
   // Replace slider HTML with custom dual-thumb range controls
   const controls = document.getElementById("controls");
@@ -186,45 +430,50 @@ function expandToCustomRangeSlider() {
     thumb.style.left = `${pct}%`;
   }
 
-  // ---- Helper: Updates label text, filtered data, and chart contents ----
-  function update() {
+  // ---- Helper: Updates label text and the shared time filter ----
+  function update(applyTime = true) {
     const startDate = monthsArray[startIndex];
-    const endDate = monthsArray[endIndex];
+    const endDate = getMonthRange(monthsArray[endIndex])[1]; // Include the whole end month
 
     // Update range labels
     startLabel.textContent = formatMonthLabel(startDate);
-    endLabel.textContent = formatMonthLabel(endDate);
-
-    // Filter and display data across full system
-    const filtered = fullData.filter(
-      (d) => d.time >= startDate && d.time <= endDate
-    );
-    leafletMap.setData(filtered);
-    updateEarthquakeChart(startDate, endDate);
-    console.log("Second, Start: " + startDate + " end: " + endDate);
-
-    updateAllCharts(filtered);
+    endLabel.textContent = formatMonthLabel(monthsArray[endIndex]);
+    currentRange = [startIndex, endIndex];
 
     // If both thumbs touch, collapse back into single slider
     if (startIndex === endIndex) {
+      activeThumb = null; // Stop this (now removed) slider reacting to the drag
       collapseToSingleSlider(startIndex);
+      return;
     }
+
+    // Filter and display data across full system
+    if (applyTime) setTimeFilter(
+      startDate,
+      endDate,
+      `${startLabel.textContent} – ${endLabel.textContent}`
+    );
   }
 
+  // Track which thumb is being dragged (declared before update() can reset it)
+  let activeThumb = null;
+
   // Initial rendering
   positionThumb(thumbStart, startIndex);
   positionThumb(thumbEnd, endIndex);
-  update();
-
-  // Track which thumb is being dragged
-  let activeThumb = null;
+  update(applyTime);
+  if (!isRangeMode) return; // Collapsed straight away: the controls are gone
 
   // Start tracking on mouse down
   thumbStart.addEventListener("mousedown", () => (activeThumb = "start"));
   thumbEnd.addEventListener("mousedown", () => (activeThumb = "end"));
 
+  // Document listeners live as long as this slider (see collapseToSingleSlider)
+  rangeSliderListeners = new AbortController();
+  const { signal } = rangeSliderListeners;
+
   // Stop tracking when mouse is released
-  document.addEventListener("mouseup", () => (activeThumb = null));
+  document.addEventListener("mouseup", () => (activeThumb = null), { signal });
 
   // Move the appropriate thumb and update state
   document.addEventListener("mousemove", (e) => {
@@ -235,21 +484,30 @@ function expandToCustomRangeSlider() {
     const pct = Math.max(0, Math.min(1, x / rect.width));
     const idx = Math.round(pct * (monthsArray.length - 1));
 
+    // Only refilter when the thumb lands on another month
     if (activeThumb === "start") {
-      startIndex = Math.min(idx, endIndex); // Prevent crossing
+      const next = Math.min(idx, endIndex); // Prevent crossing
+      if (next === startIndex) return;
+      startIndex = next;
       positionThumb(thumbStart, startIndex);
     } else {
-      endIndex = Math.max(idx, startIndex);
+      const next = Math.max(idx, startIndex);
+      if (next === endIndex) return;
+      endIndex = next;
       positionThumb(thumbEnd, endIndex);
     }
 
     update();
-  });
+  }, { signal });
 }
 
 // -------- Collapse back to the original single-thumb slider view --------
-function collapseToSingleSlider(index) {
+// applyTime = false only rebuilds the slider (e.g. after the time chip was removed)
+function collapseToSingleSlider(index, applyTime = true) {
   isRangeMode = false;
+  currentRange = null;
+  if (rangeSliderListeners) rangeSliderListeners.abort();
+  rangeSliderListeners = null;
 
   // Replace the controls with a standard slider and label
   const controls = document.getElementById("controls");
@@ -266,32 +524,14 @@ function collapseToSingleSlider(index) {
   monthSlider.max = monthsArray.length - 1;
   monthSlider.value = index;
 
-  const selectedMonth = monthsArray[index];
-  monthLabel.textContent = formatMonthLabel(selectedMonth);
-
   // Set filtered view for that month
-  const filtered = filterDataByMonth(selectedMonth);
-  leafletMap.setData(filtered);
-  updateEarthquakeChart(selectedMonth, selectedMonth);
-  updateAllCharts(filtered);
+  if (applyTime) showMonth(index);
 
   // Hook up slider interaction
   monthSlider.addEventListener("input", function () {
-    if (!isRangeMode) {
-      const idx = +this.value;
-      const selectedMonth = monthsArray[idx];
-      monthLabel.textContent = formatMonthLabel(selectedMonth);
-  
-      const startDate = new Date(selectedMonth.getFullYear(), selectedMonth.getMonth(), 1);
-      const endDate = new Date(selectedMonth.getFullYear(), selectedMonth.getMonth() + 1, 0);
-  
-      const filtered = fullData.filter(d => d.time >= startDate && d.time <= endDate);
-      leafletMap.setData(filtered);
-      updateEarthquakeChart(startDate, endDate);
-      updateAllCharts(filtered);
-    }
+    if (!isRangeMode) showMonth(+this.value);
   });
-  
+
 
   // Enable expanding to range mode on double-click
   monthSlider.addEventListener("dblclick", () => {
@@ -299,30 +539,76 @@ function collapseToSingleSlider(index) {
   });
 }
 
+// -------- Points the single slider at a month and filters every view to it --------
+function showMonth(index) {
+  const selectedMonth = monthsArray[index];
+  const label = formatMonthLabel(selectedMonth);
+
+  document.getElementById("monthSlider").value = index;
+  document.getElementById("monthLabel").textContent = label;
+  setTimeFilter(...getMonthRange(selectedMonth), label);
+}
+
 // ---------- Drawing Wrappers ----------
-function drawMagnitudeChart(dataObj) {
+// Chart titles per weighting (EVENT_WEIGHTINGS, seismicEnergy.js)
+const WEIGHTING_TITLES = {
+  count: "Earthquakes",
+  moment: "Seismic Moment",
+  energy: "Radiated Energy",
+};
+
+function drawMagnitudeChart(dataObj, weighting = "count") {
   drawBarChart(
     "#magnitude-chart",
     dataObj,
     "#01d1ff",
     "#f15969",
-    "Earthquakes by Magnitude",
-    "Magnitude"
+    `${WEIGHTING_TITLES[weighting]} by Magnitude`,
+    "Magnitude",
+    weighting
   );
 }
-function drawDepthChart(dataObj) {
+function drawDepthChart(dataObj, weighting = "count") {
   drawBarChart(
     "#depth-chart",
     dataObj,
     "#e5c852",
     "#0ed354",
-    "Earthquakes by Depth",
-    "Depth (km)"
+    `${WEIGHTING_TITLES[weighting]} by Depth`,
+    "Depth (km)",
+    weighting
+  );
+}
+
+// view: "distance" (bins of binning.js) or "type" (ridge, trench, transform)
+function drawBoundaryChart(dataObj, weighting = "count", view = "distance") {
+  const byType = view === "type";
+  const subject = byType ? "Plate Boundary Type" : "Approx. Distance to Plate Boundary";
+  const missing = hasBoundaryDistances() ? "" : " (boundaries not loaded)";
+  drawBarChart(
+    "#boundary-chart",
+    dataObj,
+    "#b58cff",
+    "#f15969",
+    `${WEIGHTING_TITLES[weighting]} by ${subject}${missing}`,
+    byType ? "Nearest plate boundary type" : "Approx. distance to nearest plate boundary (km)",
+    weighting
   );
 }
 
+// Click-to-filter kind (getBucketFilter, filterState.js) of each bar chart, by x-axis label
+const BAR_CHART_FILTERS = {
+  Magnitude: "magnitude",
+  "Depth (km)": "depth",
+  "Approx. distance to nearest plate boundary (km)": "boundary",
+  "Nearest plate boundary type": "boundaryType",
+};
+
 // ---------- Responsive Bar Chart Function ----------
-function drawBarChart(container, dataObj, color, hoverColor, title, xLabel) {
+// weighting: key of EVENT_WEIGHTINGS the bar values were summed with
+function drawBarChart(container, dataObj, color, hoverColor, title, xLabel, weighting = "count") {
+  const { axisLabel, format, tickFormat } = EVENT_WEIGHTINGS[weighting];
+  const filterKind = BAR_CHART_FILTERS[xLabel];
   const data = Object.entries(dataObj).map(([label, value]) => ({
     label,
     value,
@@ -362,7 +648,7 @@ function drawBarChart(container, dataObj, color, hoverColor, title, xLabel) {
   svg
     .append("g")
     .attr("transform", `translate(${margin.left}, 0)`)
-    .call(d3.axisLeft(y));
+    .call(d3.axisLeft(y).ticks(6).tickFormat(weighting === "count" ? null : tickFormat));
 
   // Labels
   svg
@@ -382,7 +668,7 @@ function drawBarChart(container, dataObj, color, hoverColor, title, xLabel) {
     .attr("text-anchor", "middle")
     .style("font-size", "12px")
     .style("fill", "white")
-    .text("Number of Earthquakes");
+    .text(axisLabel);
 
   svg
     .append("text")
@@ -405,12 +691,9 @@ function drawBarChart(container, dataObj, color, hoverColor, title, xLabel) {
           .attr("width", x.bandwidth())
           .attr("y", (d) => y(d.value)) // Start at correct top
           .attr("height", (d) => height - margin.bottom - y(d.value))
-          .attr("fill", (d) => {
-            const selected =
-              (xLabel === "Magnitude" && selectedMagnitudes.has(d.label)) ||
-              (xLabel === "Depth (km)" && selectedDepths.has(d.label));
-            return selected ? hoverColor : color;
-          }),
+          .attr("fill", (d) =>
+            filterKind && getBucketFilter(filterKind).has(d.label) ? hoverColor : color
+          ),
 
       (update) =>
         update.call(
@@ -421,12 +704,9 @@ function drawBarChart(container, dataObj, color, hoverColor, title, xLabel) {
               .ease(d3.easeCubicInOut)
               .attr("y", (d) => y(d.value)) // new top
               .attr("height", (d) => height - margin.bottom - y(d.value)) // new height from new top
-              .attr("fill", (d) => {
-                const selected =
-                  (xLabel === "Magnitude" && selectedMagnitudes.has(d.label)) ||
-                  (xLabel === "Depth (km)" && selectedDepths.has(d.label));
-                return selected ? hoverColor : color;
-              }),
+              .attr("fill", (d) =>
+                filterKind && getBucketFilter(filterKind).has(d.label) ? hoverColor : color
+              ),
 
           (exit) =>
             exit.call((exit) =>
@@ -443,7 +723,7 @@ function drawBarChart(container, dataObj, color, hoverColor, title, xLabel) {
       d3.select("#tooltip")
         .style("opacity", 1)
         .style("z-index", 1000000)
-        .html(`<strong>${d.label}</strong>: ${d.value}`);
+        .html(`<strong>${d.label}</strong>: ${format(d.value)}`);
     })
     .on("mousemove", (event) => {
       d3.select("#tooltip")
@@ -456,21 +736,7 @@ function drawBarChart(container, dataObj, color, hoverColor, title, xLabel) {
       d3.select("#tooltip").style("opacity", 0);
     })
     .on("click", function (event, d) {
-      const label = d.label;
-      if (xLabel === "Magnitude") {
-        if (selectedMagnitudes.has(label)) {
-          selectedMagnitudes.delete(label);
-        } else {
-          selectedMagnitudes.add(label);
-        }
-      } else if (xLabel === "Depth (km)") {
-        if (selectedDepths.has(label)) {
-          selectedDepths.delete(label);
-        } else {
-          selectedDepths.add(label);
-        }
-      }
-      applyFilters();
+      if (filterKind) toggleBucketFilter(filterKind, d.label);
     });
 }
 
@@ -510,67 +776,110 @@ function redrawTimeSeries() {
   }
 }
 
-function updateEarthquakeChart(startDate, endDate) {
-  // Filters the earthquakes within the selected date range
-  console.log("Respodning from updateEarthquake" + startDate);
-  startDate = new Date(startDate);
-  endDate = new Date(endDate);
+// -------- Timeline granularity: finer bars as the view narrows --------
+const TIMELINE_LEVELS = [
+  { maxDays: 3, interval: d3.timeHour, format: "%Y-%m-%d %H", tickFormat: "%H:%M", label: "%d %b %Y %H:00" },
+  { maxDays: 120, interval: d3.timeDay, format: "%Y-%m-%d", tickFormat: "%d %b", label: "%d %b %Y" },
+  { maxDays: 1830, interval: d3.timeMonth, format: "%Y-%m", tickFormat: "%b %Y", label: "%b %Y" },
+  { maxDays: Infinity, interval: d3.timeYear, format: "%Y", tickFormat: "%Y", label: "%Y" },
+];
+const TIMELINE_MIN_SPAN = DAY_MS / 4; // Deepest wheel zoom
+
+// Stacked timeline: how bars split into classes, with the filter their legend toggles
+const TIMELINE_STACKS = {
+  magnitude: {
+    classOf: (d) => getMagnitudeLabel(d.mag),
+    classes: () => Object.keys(getMagnitudeBuckets([])),
+    interpolator: d3.interpolateYlOrRd,
+  },
+  depth: {
+    classOf: (d) => getDepthLabel(d.depth),
+    classes: () => Object.keys(getDepthBuckets([])),
+    interpolator: d3.interpolateViridis,
+  },
+  // Events without a boundary distance (boundaries not loaded) are in no class
+  boundary: {
+    classOf: (d) => getBoundaryDistanceLabel(d),
+    classes: () => Object.keys(getBoundaryBuckets([])),
+    interpolator: d3.interpolateCool,
+  },
+  boundaryType: {
+    classOf: (d) => getBoundaryTypeLabel(d),
+    classes: () => getBoundaryTypeLabels(),
+    // The map's line colours rather than an interpolated ramp
+    colors: () => Object.values(BOUNDARY_TYPES).map((t) => [t.label, t.color]),
+  },
+};
+
+// Running totals drawn over the bars, as a share of the total in view
+const TIMELINE_CUMULATIVE = {
+  cumulative: { label: "Cumulative count", color: "#ffffff", value: (bar) => bar.count },
+  moment: { label: "Cumulative moment", color: "#f15969", value: (bar) => bar.moment },
+};
+
+let timelineQuakes = []; // Every filter except time, so the timeline shows context around the window
+let timelineView = null; // [start, end] after wheel zooming, or null for the whole catalog
+
+function getTimelineLevel(start, end) {
+  const days = (end - start) / DAY_MS;
+  return TIMELINE_LEVELS.find((level) => days <= level.maxDays);
+}
 
-  const filteredData = fullData.filter(
-    (d) => d.time >= startDate && d.time <= endDate
-  );
+/**
+ * Aggregates the timeline for the current view at a granularity that suits
+ * its span (hours, days, months or years).
+ * @param {Array} [quakes] - events passing every filter but time; omitted
+ *   when only the view changed (wheel zoom)
+ */
+function updateEarthquakeChart(quakes) {
+  if (quakes) timelineQuakes = quakes;
 
-  // Determine the time difference
-  const timeDiff = endDate - startDate;
-  const daysDiff = timeDiff / (1000 * 60 * 60 * 24); // Convert to days
-
-  // Determine aggregation level
-  let timeFormat, groupBy;
-  if (daysDiff <= 31) {
-    // If range is within a month, group by day
-    timeFormat = "%Y-%m-%d";
-    groupBy = (d) => d3.timeFormat(timeFormat)(d.time);
-  } else if (daysDiff <= 730) {
-    // If range is within ~2 years, group by month
-    timeFormat = "%Y-%m";
-    groupBy = (d) => d3.timeFormat(timeFormat)(d.time);
-  } else {
-    // If range is longer, group by year or every few months
-    timeFormat = "%Y";
-    groupBy = (d) => d3.timeFormat(timeFormat)(d.time);
+  const extent = d3.extent(fullData, (d) => d.time);
+  const time = filterState.time;
+
+  // A window picked elsewhere (slider, playback) outside the zoomed view shows the whole catalog
+  if (quakes && timelineView && time && (time.end < timelineView[0] || time.start > timelineView[1])) {
+    timelineView = null;
   }
-  currentTimeFormat = timeFormat; // Save current format
-
-  // Aggregate counts
-  const earthquakeCounts = d3.rollup(filteredData, (v) => v.length, groupBy);
-
-  // Convert to sorted array
-  const data = Array.from(earthquakeCounts, ([dateStr, count]) => {
-    // Parse date string based on aggregation level
-    let date;
-    switch (timeFormat) {
-      case "%Y-%m-%d":
-        date = new Date(dateStr);
-        break;
-      case "%Y-%m":
-        date = new Date(`${dateStr}-01`); // Add day component
-        break;
-      case "%Y":
-        date = new Date(`${dateStr}-01-01`); // Add month/day
-        break;
-      default:
-        date = new Date(dateStr);
-    }
-    return { date, count };
-  }).sort((a, b) => a.date - b.date); // Direct date comparison
+  const [startDate, endDate] = timelineView || extent;
+
+  const level = getTimelineLevel(startDate, endDate);
+  currentTimeFormat = level.format; // Save current format
+
+  // Bar heights sum the chosen weighting (count, moment or energy; seismicEnergy.js)
+  const weight = EVENT_WEIGHTINGS[document.getElementById("timeline-weight-select").value].value;
+
+  // One bar per interval in view, empty ones included so running totals and means line up
+  const firstBar = level.interval.floor(startDate);
+  const data = level.interval
+    .range(firstBar, level.interval.offset(level.interval.floor(endDate), 1))
+    .map((date) => {
+      const next = level.interval.offset(date, 1);
+      // Bars inside the time window are drawn brighter than the context around it
+      const inWindow = !time || (date <= time.end && next > time.start);
+      const classes = Object.fromEntries(Object.keys(TIMELINE_STACKS).map((key) => [key, {}]));
+      return { date, end: next, count: 0, value: 0, moment: 0, classes, inWindow };
+    });
+
+  // Counts, weighted totals, moment and weighted class totals per bar
+  timelineQuakes.forEach((d) => {
+    if (d.time < startDate || d.time > endDate) return;
+    const bar = data[level.interval.count(firstBar, d.time)];
+    if (!bar) return;
+    const w = weight(d);
+    bar.count++;
+    bar.value += w;
+    bar.moment += quakeMoment(d);
+    Object.entries(TIMELINE_STACKS).forEach(([key, stack]) => {
+      const label = stack.classOf(d);
+      bar.classes[key][label] = (bar.classes[key][label] || 0) + w;
+    });
+  });
 
-  // drawTimeSeriesChart(data, startDate, endDate);
   currentTimeSeriesData = data;
   currentTSStartDate = startDate;
   currentTSEndDate = endDate;
   drawTimeSeriesChart(data, startDate, endDate);
-
-  console.log("Reached bottom of update");
 }
 
 function drawTimeSeriesChart(data, startDate, endDate) {
@@ -583,7 +892,29 @@ function drawTimeSeriesChart(data, startDate, endDate) {
   const isExpanded = containerEl.getAttribute("data-expanded") === "true";
   const width = isExpanded ? 1400 : 1000; // Set 1200 when expanded
 
-  (height = 200), (margin = { top: 30, right: 30, bottom: 80, left: 70 });
+  const weighting = EVENT_WEIGHTINGS[document.getElementById("timeline-weight-select").value];
+  const stackBy = document.getElementById("timeline-stack-select").value;
+  const stack = TIMELINE_STACKS[stackBy];
+  const cumulative = Object.keys(TIMELINE_CUMULATIVE).filter(
+    (key) => document.getElementById(`overlay-${key}`).checked
+  );
+  const rollingBars = document.getElementById("overlay-rolling").checked
+    ? Math.max(2, Math.round(+document.getElementById("rolling-window-input").value) || 2)
+    : 0;
+
+  (height = 230), (margin = { top: 50, right: cumulative.length > 0 ? 60 : 30, bottom: 80, left: 70 });
+  const level = getTimelineLevel(startDate, endDate);
+
+  // Classes in bin order (binning.js)
+  const keys = stack ? stack.classes() : ["All"];
+  let color = () => "#01d1ff";
+  if (stack && stack.colors) {
+    const colors = new Map(stack.colors());
+    color = (key) => colors.get(key);
+  } else if (stack) {
+    const ramp = d3.quantize((t) => stack.interpolator(0.15 + 0.8 * t), keys.length);
+    color = d3.scaleOrdinal(keys, ramp);
+  }
 
   const svg = d3
     .select(container)
@@ -591,44 +922,23 @@ function drawTimeSeriesChart(data, startDate, endDate) {
     .attr("width", width)
     .attr("height", height);
 
-  // Calculate the range in days
-  const timeDiff = endDate - startDate;
-  const daysDiff = timeDiff / (1000 * 60 * 60 * 24); // Convert to days
-
-  let tickFormat, tickInterval;
-  if (daysDiff <= 31) {
-    tickFormat = "%d %b"; // Day and month (e.g., "01 Jan")
-    tickInterval = Math.ceil(data.length / 7); // Show every 5-7 days
-  } else if (daysDiff <= 730) {
-    tickFormat = "%b %Y"; // Month and year (e.g., "Jan 2016")
-    tickInterval = Math.ceil(data.length / 10); // Show every 2-3 months
-  } else {
-    tickFormat = "%Y"; // Year only
-    tickInterval = Math.ceil(data.length / 10); // Show every 1-2 years
-  }
-
   // Define scales
   const x = d3
-    .scaleBand()
-    .domain(data.map((d) => d.date))
-    .range([margin.left, width - margin.right])
-    .padding(0.1);
+    .scaleTime()
+    .domain([startDate, endDate])
+    .range([margin.left, width - margin.right]);
 
   const y = d3
     .scaleLinear()
-    .domain([0, d3.max(data, (d) => d.count)])
+    .domain([0, d3.max(data, (d) => d.value) || 1])
     .nice()
     .range([height - margin.bottom, margin.top]);
 
-  // X-axis with dynamic tick selection
+  // X-axis: about one tick per 90px at the current granularity
   const xAxis = d3
     .axisBottom(x)
-    .tickValues(
-      data
-        .map((d, i) => (i % tickInterval === 0 ? d.date : null))
-        .filter((d) => d)
-    )
-    .tickFormat((d) => d3.timeFormat(tickFormat)(new Date(d)));
+    .ticks(Math.round(width / 90))
+    .tickFormat(d3.timeFormat(level.tickFormat));
 
   svg
     .append("g")
@@ -644,7 +954,7 @@ function drawTimeSeriesChart(data, startDate, endDate) {
   const yAxis = d3
     .axisLeft(y)
     .ticks(5) // Only show 5 ticks for intermediate labels (adjust as needed)
-    .tickFormat(d3.format(".0f")); // Format the ticks (e.g., no decimal places)
+    .tickFormat(weighting.tickFormat); // Whole counts, or exponents for moment/energy
 
   svg
     .append("g")
@@ -654,244 +964,511 @@ function drawTimeSeriesChart(data, startDate, endDate) {
     .style("fill", "white")
     .style("font-size", "12px");
 
+  if (weighting !== EVENT_WEIGHTINGS.count) {
+    svg
+      .append("text")
+      .attr("transform", "rotate(-90)")
+      .attr("x", -(margin.top + height - margin.bottom) / 2)
+      .attr("y", 12)
+      .attr("text-anchor", "middle")
+      .style("font-size", "11px")
+      .style("fill", "white")
+      .text(weighting.axisLabel);
+  }
+
   svg
     .selectAll(".domain") // Select the axis line (the "domain" is the line of the axis)
     .style("stroke", "white") // Set the stroke (line) color to white
     .style("stroke-width", 1); // Optional: Adjust stroke width if necessary
 
-  // Draw bars
-  // In drawTimeSeriesChart function (main.js)
   svg
+    .append("text")
+    .attr("class", "timeline-hint")
+    .attr("x", margin.left)
+    .attr("y", 16)
+    .text("Drag to filter time, scroll to zoom");
+
+  if (timelineView) {
+    svg
+      .append("text")
+      .attr("class", "timeline-reset")
+      .attr("x", width - margin.right)
+      .attr("y", 16)
+      .attr("text-anchor", "end")
+      .text("Zoom out")
+      .on("click", () => {
+        timelineView = null;
+        updateEarthquakeChart();
+      });
+  }
+
+  // Draw bars, one segment per class; bars cut by the view edges are clipped to it
+  const [left, right] = x.range();
+  const series = d3
+    .stack()
+    .keys(keys)
+    .value((bar, key) => (stack ? bar.classes[stackBy][key] || 0 : bar.value))(data);
+  const segments = series.flatMap((s) =>
+    s
+      .filter(([y0, y1]) => y1 > y0)
+      .map((p) => ({ date: p.data.date, bar: p.data, key: s.key, y0: p[0], y1: p[1] }))
+  );
+
+  svg
+    .append("g")
     .selectAll("rect")
-    .data(data)
+    .data(segments)
     .enter()
     .append("rect")
-    .attr("x", (d) => x(d.date))
-    .attr("y", (d) => y(d.count))
-    .attr("width", x.bandwidth())
-    .attr("height", (d) => height - margin.bottom - y(d.count))
-    .attr("fill", "#01d1ff")
-    .on("mouseover", function (event, d) {
+    .attr("class", "time-bar")
+    .attr("x", (d) => Math.max(left, x(d.bar.date)))
+    .attr("y", (d) => y(d.y1))
+    .attr("width", (d) =>
+      Math.max(1, Math.min(right, x(d.bar.end)) - Math.max(left, x(d.bar.date)) - 1)
+    )
+    .attr("height", (d) => y(d.y0) - y(d.y1))
+    .attr("fill", (d) => color(d.key))
+    .attr("fill-opacity", (d) => (d.bar.inWindow ? 1 : 0.35));
+
+  const clampX = (date) => Math.max(left, Math.min(right, x(date)));
+
+  // Rolling mean of the last rollingBars bars, on the count axis
+  if (rollingBars) {
+    const means = data.map((bar, i) =>
+      d3.mean(data.slice(Math.max(0, i - rollingBars + 1), i + 1), (b) => b.value)
+    );
+    svg
+      .append("path")
+      .datum(data)
+      .attr("class", "timeline-overlay")
+      .attr("stroke", "#e5c852")
+      .attr("stroke-dasharray", "4 3")
+      .attr(
+        "d",
+        d3
+          .line()
+          .x((bar) => clampX(new Date((+bar.date + +bar.end) / 2)))
+          .y((bar, i) => y(means[i]))
+      );
+  }
+
+  // Running totals as a share of the total in view, on a right-hand axis
+  if (cumulative.length > 0) {
+    const share = d3.scaleLinear().domain([0, 100]).range(y.range());
+    svg
+      .append("g")
+      .attr("transform", `translate(${right},0)`)
+      .call(d3.axisRight(share).ticks(4).tickFormat((v) => `${v}%`))
+      .selectAll("text")
+      .style("fill", "white")
+      .style("font-size", "12px");
+
+    cumulative.forEach((key) => {
+      const { value, color: stroke } = TIMELINE_CUMULATIVE[key];
+      const total = d3.sum(data, value) || 1;
+      let running = 0;
+      const points = [[clampX(data[0].date), share(0)]].concat(
+        data.map((bar) => {
+          running += value(bar);
+          return [clampX(bar.end), share((100 * running) / total)];
+        })
+      );
+      svg
+        .append("path")
+        .datum(points)
+        .attr("class", "timeline-overlay")
+        .attr("stroke", stroke)
+        .attr("d", d3.line());
+    });
+  }
+
+  // Legend: classes toggle their bucket filter (getBucketFilter), overlays are labels only
+  const legendItems = [
+    ...(stack
+      ? keys.map((key) => ({ key, label: key, fill: color(key), filter: stackBy }))
+      : []),
+    ...(rollingBars ? [{ label: `${rollingBars}-bar mean`, line: "#e5c852" }] : []),
+    ...cumulative.map((key) => ({
+      label: TIMELINE_CUMULATIVE[key].label,
+      line: TIMELINE_CUMULATIVE[key].color,
+    })),
+  ];
+  const activeClasses = stack ? getBucketFilter(stackBy) : new Set();
+
+  let legendX = margin.left;
+  legendItems.forEach((item) => {
+    const entry = svg
+      .append("g")
+      .attr("class", item.filter ? "timeline-legend toggle" : "timeline-legend")
+      .attr("transform", `translate(${legendX}, 38)`);
+    if (item.filter) {
+      entry
+        .classed("inactive", activeClasses.size > 0 && !activeClasses.has(item.key))
+        .on("click", () => toggleBucketFilter(item.filter, item.key));
+      entry.append("rect").attr("y", -9).attr("width", 10).attr("height", 10).attr("fill", item.fill);
+    } else {
+      entry
+        .append("line")
+        .attr("x1", 0)
+        .attr("x2", 12)
+        .attr("y1", -4)
+        .attr("y2", -4)
+        .attr("stroke", item.line)
+        .attr("stroke-width", 2);
+    }
+    entry.append("text").attr("x", 15).text(item.label);
+    legendX += 25 + item.label.length * 6.5;
+  });
+
+  // Brush over the bars sets the time window; it also carries the hover tooltip
+  const brush = d3
+    .brushX()
+    .extent([
+      [left, margin.top],
+      [right, height - margin.bottom],
+    ])
+    .on("end", (event) => brushed(event, x, level));
+
+  const brushGroup = svg.append("g").attr("class", "brush").call(brush);
+
+  const time = filterState.time;
+  if (time && time.end >= startDate && time.start <= endDate) {
+    brush.move(brushGroup, [
+      x(Math.max(time.start, startDate)),
+      x(Math.min(time.end, endDate)),
+    ]);
+  }
+
+  const barsByStart = new Map(data.map((d) => [+d.date, d]));
+  brushGroup
+    .on("mousemove.tooltip", function (event) {
+      const date = level.interval.floor(x.invert(d3.pointer(event, this)[0]));
+      const d = barsByStart.get(+date);
+      if (!d) return d3.select("#tooltip").style("opacity", 0);
+      const breakdown = stack
+        ? keys
+            .filter((key) => d.classes[stackBy][key])
+            .map((key) => `<br>${key}: ${weighting.format(d.classes[stackBy][key])}`)
+            .join("")
+        : "";
+      const moment = cumulative.includes("moment")
+        ? `<br>Moment: ${d.moment.toExponential(2)} N·m`
+        : "";
       d3.select("#tooltip")
         .style("opacity", 1)
         .html(
-          `<strong>${d3.timeFormat("%Y-%m-%d")(new Date(d.date))}</strong><br>${
+          `<strong>${d3.timeFormat(level.label)(d.date)}</strong><br>${
             d.count
-          } earthquakes`
+          } earthquakes${
+            weighting === EVENT_WEIGHTINGS.count ? "" : `, ${weighting.format(d.value)}`
+          }${breakdown}${moment}`
         )
         .style("left", event.pageX + 10 + "px")
         .style("top", event.pageY - 28 + "px");
     })
-    .on("mousemove", function (event) {
-      d3.select("#tooltip")
-        .style("left", event.pageX + 10 + "px")
-        .style("top", event.pageY - 28 + "px");
-    })
-    .on("mouseout", function () {
+    .on("mouseleave.tooltip", function () {
       d3.select("#tooltip").style("opacity", 0);
     });
 
-  // // Step 1: Add brushing behavior
-  // const brush = d3
-  //   .brushX()
-  //   .extent([
-  //     [margin.left, margin.top],
-  //     [width - margin.right, height - margin.bottom],
-  //   ])
-  //   .on("end", brushed);
-
-  // svg.append("g").attr("class", "brush").call(brush);
+  // Wheel zoom around the pointer; the aggregation follows the new span
+  svg.on("wheel", (event) => {
+    event.preventDefault();
+    const [catalogStart, catalogEnd] = d3.extent(fullData, (d) => d.time);
+    const fullSpan = catalogEnd - catalogStart;
+    const span = endDate - startDate;
+    const newSpan = Math.max(
+      TIMELINE_MIN_SPAN,
+      Math.min(fullSpan, span * Math.pow(2, event.deltaY * 0.002))
+    );
+    if (newSpan >= fullSpan) {
+      timelineView = null;
+    } else {
+      const pivot = x.invert(Math.max(left, Math.min(right, d3.pointer(event)[0])));
+      let start = pivot - ((pivot - startDate) * newSpan) / span;
+      start = Math.max(+catalogStart, Math.min(catalogEnd - newSpan, start));
+      timelineView = [new Date(start), new Date(start + newSpan)];
+    }
+    updateEarthquakeChart();
+  });
 }
 
-function brushed({ selection }) {
-  if (!selection) return;
+/**
+ * Brushing the timeline sets the global time window, snapped to whole bars,
+ * and moves the month slider(s) to match. A click without a drag removes it.
+ */
+function brushed({ selection, sourceEvent }, x, level) {
+  if (!sourceEvent) return; // Moved by drawTimeSeriesChart to show the current window
 
-  const [x0, x1] = selection;
-  const datesInView = d3
-    .select("#time-series-chart svg")
-    .selectAll("rect")
-    .filter(function (d) {
-      const xPos = +d3.select(this).attr("x");
-      return xPos >= x0 && xPos <= x1;
-    })
-    .data()
-    .map((d) => new Date(d.date));
+  if (!selection) {
+    if (filterState.time) clearFilter("time");
+    return;
+  }
 
-  if (datesInView.length === 0) return;
+  const start = level.interval.floor(x.invert(selection[0]));
+  const last = level.interval.floor(new Date(x.invert(selection[1]) - 1)); // Bar holding the right edge
+  const end = new Date(level.interval.offset(last, 1) - 1); // Inclusive, like getMonthRange
+  const format = d3.timeFormat(level.label);
+  const label = +start === +last ? format(start) : `${format(start)} – ${format(last)}`;
 
-  const minDate = d3.min(datesInView);
-  const maxDate = d3.max(datesInView);
+  if (isAnimating) stopAnimation();
+  syncSlidersToTime(start, end, label);
+  setTimeFilter(start, end, label);
+}
 
-  // Filter full dataset
-  const filtered = fullData.filter(
-    (d) => d.time >= minDate && d.time <= maxDate
-  );
+// -------- Points the month slider(s) at a window chosen elsewhere (timeline, link) --------
+function syncSlidersToTime(start, end, label) {
+  const monthIndex = (date) => Math.max(0, d3.bisectRight(monthsArray, date) - 1);
+  const startIndex = monthIndex(start);
+  const endIndex = monthIndex(end);
 
-  // Update all views
-  leafletMap.setData(filtered);
-  updateAllCharts(filtered);
+  if (startIndex === endIndex) {
+    collapseToSingleSlider(startIndex, false);
+    document.getElementById("monthLabel").textContent = label;
+  } else {
+    expandToCustomRangeSlider(startIndex, endIndex, false);
+  }
 }
 
 // Added update function to pass currently selected data
 function updateAllCharts(data) {
   d3.select("#magnitude-chart").select("svg").remove();
   d3.select("#depth-chart").select("svg").remove();
+  d3.select("#boundary-chart").select("svg").remove();
 
-  drawMagnitudeChart(getMagnitudeBuckets(data));
-  drawDepthChart(getDepthBuckets(data));
+  const magnitudeWeighting = document.getElementById("magnitude-weight-select").value;
+  const depthWeighting = document.getElementById("depth-weight-select").value;
+  drawMagnitudeChart(
+    getMagnitudeBuckets(data, EVENT_WEIGHTINGS[magnitudeWeighting].value),
+    magnitudeWeighting
+  );
+  drawDepthChart(getDepthBuckets(data, EVENT_WEIGHTINGS[depthWeighting].value), depthWeighting);
+
+  const boundaryWeighting = document.getElementById("boundary-weight-select").value;
+  const boundaryView = document.getElementById("boundary-view-select").value;
+  const boundaryWeight = EVENT_WEIGHTINGS[boundaryWeighting].value;
+  drawBoundaryChart(
+    boundaryView === "type"
+      ? getBoundaryTypeBuckets(data, boundaryWeight)
+      : getBoundaryBuckets(data, boundaryWeight),
+    boundaryWeighting,
+    boundaryView
+  );
 }
 
-function getMagnitudeBuckets(data) {
-  const buckets = {
-    "3.0–3.9": 0,
-    "4.0–4.9": 0,
-    "5.0–5.9": 0,
-    "6.0–6.9": 0,
-    "7.0–7.9": 0,
-    "8.0+": 0,
-  };
+// Bar chart totals per bin of the current scheme (binning.js), lowest bin first
+// weight: what a quake adds to its bucket (1 = count; see EVENT_WEIGHTINGS)
+function getMagnitudeBuckets(data, weight = () => 1) {
+  return getBinTotals("magnitude", data, (d) => d.mag, weight);
+}
 
+function getDepthBuckets(data, weight = () => 1) {
+  return getBinTotals("depth", data, (d) => d.depth, weight);
+}
+
+// Events without a boundary distance (boundaries not loaded) are left out of both
+function getBoundaryBuckets(data, weight = () => 1) {
+  return getBinTotals(
+    "boundary",
+    data.filter((d) => d.boundaryDistance !== null),
+    (d) => d.boundaryDistance,
+    weight
+  );
+}
+
+function getBoundaryTypeBuckets(data, weight = () => 1) {
+  const buckets = Object.fromEntries(getBoundaryTypeLabels().map((label) => [label, 0]));
   data.forEach((d) => {
-    const mag = d.mag;
-    if (mag >= 3 && mag < 4) buckets["3.0–3.9"]++;
-    else if (mag >= 4 && mag < 5) buckets["4.0–4.9"]++;
-    else if (mag >= 5 && mag < 6) buckets["5.0–5.9"]++;
-    else if (mag >= 6 && mag < 7) buckets["6.0–6.9"]++;
-    else if (mag >= 7 && mag < 8) buckets["7.0–7.9"]++;
-    else if (mag >= 8) buckets["8.0+"]++;
+    const label = getBoundaryTypeLabel(d);
+    if (label !== null) buckets[label] = (buckets[label] || 0) + weight(d);
   });
-
   return buckets;
 }
 
-function getDepthBuckets(data) {
-  const buckets = {
-    "0–10km": 0,
-    "10–30km": 0,
-    "30–70km": 0,
-    "70–300km": 0,
-    "300km+": 0,
-  };
-
+function getBinTotals(kind, data, value, weight) {
+  const buckets = Object.fromEntries(getBins(kind).map((bin) => [bin.label, 0]));
   data.forEach((d) => {
-    const depth = d.depth;
-    if (depth >= 0 && depth < 10) buckets["0–10km"]++;
-    else if (depth >= 10 && depth < 30) buckets["10–30km"]++;
-    else if (depth >= 30 && depth < 70) buckets["30–70km"]++;
-    else if (depth >= 70 && depth < 300) buckets["70–300km"]++;
-    else if (depth >= 300) buckets["300km+"]++;
+    buckets[getBinLabel(kind, value(d))] += weight(d);
   });
-
   return buckets;
 }
 
-function updateVisuals(index) {
-  const selectedMonth = monthsArray[index];
-  const startDate = new Date(
-    selectedMonth.getFullYear(),
-    selectedMonth.getMonth(),
-    1
-  );
-  const endDate = new Date(
-    selectedMonth.getFullYear(),
-    selectedMonth.getMonth() + 1,
-    0
+// -------- Playback (PlaybackEngine, playback.js): one time window per day/hour --------
+const formatPlayheadDay = d3.utcFormat("%Y-%m-%d");
+const formatPlayheadHour = d3.utcFormat("%Y-%m-%d %H:00 UTC");
+const parseDateInput = d3.utcParse("%Y-%m-%d");
+
+const playback = new PlaybackEngine({
+  onFrame: showPlaybackFrame,
+  onStateChange: (playing) => {
+    isAnimating = playing;
+    updatePlayButton();
+    if (!playing) scheduleUrlStateUpdate();
+  },
+});
+
+/**
+ * Filters every view to the step (day/hour) at the playhead, or with trails
+ * on to the decay window ending there, fading on the map.
+ */
+function showPlaybackFrame(step) {
+  const stepMs = playback.stepMs;
+  const end = step + stepMs - 1; // Inclusive end of the day/hour
+  const trails = document.getElementById("trail-toggle").checked;
+  const decayDays = +document.getElementById("trail-decay-input").value || 1;
+  const decayMs = Math.max(stepMs, decayDays * DAY_MS);
+  const format = playback.resolution === "hour" ? formatPlayheadHour : formatPlayheadDay;
+  const label = format(new Date(step));
+
+  syncPlayhead(step, label);
+  setPlaybackTime(
+    new Date(trails ? end - decayMs : step),
+    new Date(end),
+    trails ? `${label} (fading over ${decayDays} d)` : label,
+    trails ? { time: end, decayMs } : null
   );
+}
 
-  monthLabel.textContent = formatMonthLabel(selectedMonth);
-  const filteredData = fullData.filter(
-    (d) => d.time >= startDate && d.time <= endDate
+function syncPlayhead(step, label) {
+  document.getElementById("playhead-slider").value = Math.round(
+    (step - playback.start) / playback.stepMs
   );
+  document.getElementById("playhead-label").textContent = label;
 
-  leafletMap.setData(filteredData);
-  updateEarthquakeChart(startDate, endDate); // Pass full month range
-  updateAllCharts(filteredData);
+  // The month slider follows along, as it did for the month-by-month animation
+  const monthSlider = document.getElementById("monthSlider");
+  if (monthSlider) {
+    monthSlider.value = Math.max(0, d3.bisectRight(monthsArray, new Date(step)) - 1);
+    document.getElementById("monthLabel").textContent = label;
+  }
+  updatePlayButton();
 }
 
-function startAnimation() {
-  collapseToSingleSlider(0);
+function updatePlayButton() {
+  const [lo, hi] = playback.bounds();
+  const midway = playback.lastStep !== null && playback.playhead > lo && playback.playhead < hi;
+  document.getElementById("animation-btn").textContent = playback.playing
+    ? "Pause"
+    : midway
+    ? "Resume"
+    : "Animate";
+}
 
-  isAnimating = true;
-  document.getElementById("animation-btn").textContent = "Stop";
-  const slider = document.getElementById("monthSlider");
-  slider.value = 0; // Start from the first month
-  updateVisuals(0);
+// Playhead slider range for the catalog at the current resolution
+function updatePlayheadSlider() {
+  const slider = document.getElementById("playhead-slider");
+  slider.max = Math.max(0, Math.floor((playback.end - playback.start) / playback.stepMs));
+  slider.value = Math.round((playback.playhead - playback.start) / playback.stepMs);
+}
 
-  const speed = +document.getElementById("speed-control").value;
+// New catalog: the playhead, loop dates and slider start over
+function resetPlayback(start, end) {
+  playback.pause();
+  playback.setExtent(start, end);
+  document.getElementById("loop-toggle").checked = false;
+  document.getElementById("loop-start").value = formatPlayheadDay(start);
+  document.getElementById("loop-end").value = formatPlayheadDay(end);
+  document.getElementById("playhead-label").textContent = "";
+  updatePlayheadSlider();
+  updatePlayButton();
+}
 
-  intervalId = setInterval(() => {
-    if (+slider.value >= +slider.max) {
-      stopAnimation();
-      return;
-    }
-    slider.value++;
-    updateVisuals(slider.value);
-  }, speed);
+function startAnimation() {
+  // The month slider shows the playhead; a range slider has nothing to follow
+  if (isRangeMode) collapseToSingleSlider(0, false);
+  playback.setSpeed(+document.getElementById("speed-control").value);
+  playback.play();
 }
 
 function stopAnimation() {
-  isAnimating = false;
-  document.getElementById("animation-btn").textContent = "Animate";
-  clearInterval(intervalId);
-  intervalId = null;
+  playback.pause();
 }
 
 function resetAnimation() {
-  stopAnimation();
+  playback.pause();
+  playback.rewind();
+  document.getElementById("playhead-label").textContent = "";
+  updatePlayheadSlider();
+  updatePlayButton();
   collapseToSingleSlider(0);
 }
 
-// Toggle animation on button click
-document.getElementById("animation-btn").addEventListener("click", () => {
-  isAnimating ? stopAnimation() : startAnimation();
-});
+function applyLoopRange() {
+  const start = parseDateInput(document.getElementById("loop-start").value);
+  const end = parseDateInput(document.getElementById("loop-end").value);
+  const enabled = document.getElementById("loop-toggle").checked;
+  playback.setLoop(enabled && start && end && start <= end ? [start, +end + DAY_MS - 1] : null);
+}
 
-function applyFilters() {
-  let filtered = fullData;
+function initPlaybackControls() {
+  const speedControl = document.getElementById("speed-control");
+  const resolutionSelect = document.getElementById("playback-resolution");
+  const playheadSlider = document.getElementById("playhead-slider");
 
-  // Filter by selected magnitudes
-  if (selectedMagnitudes.size > 0) {
-    filtered = filtered.filter((d) =>
-      selectedMagnitudes.has(getMagnitudeLabel(d.mag))
-    );
-  }
+  document.getElementById("animation-btn").addEventListener("click", () => {
+    isAnimating ? stopAnimation() : startAnimation();
+  });
 
-  // Filter by selected depths
-  if (selectedDepths.size > 0) {
-    filtered = filtered.filter((d) =>
-      selectedDepths.has(getDepthLabel(d.depth))
-    );
-  }
+  // Speed and resolution apply mid-playback, without restarting
+  speedControl.addEventListener("change", () => playback.setSpeed(+speedControl.value));
+  resolutionSelect.addEventListener("change", () => {
+    playback.setResolution(resolutionSelect.value);
+    updatePlayheadSlider();
+  });
+
+  // Scrubbing shows that moment straight away, playing or paused
+  playheadSlider.addEventListener("input", () => {
+    playback.seek(playback.start + +playheadSlider.value * playback.stepMs);
+  });
+
+  // Trail changes redraw the frame on display
+  ["trail-toggle", "trail-decay-input"].forEach((id) =>
+    document.getElementById(id).addEventListener("change", () => {
+      if (playback.lastStep !== null) playback.emit(true);
+    })
+  );
+
+  ["loop-toggle", "loop-start", "loop-end"].forEach((id) =>
+    document.getElementById(id).addEventListener("change", applyLoopRange)
+  );
+}
 
-  // Push filtered data to map and charts
-  leafletMap.setData(filtered);
+initPlaybackControls();
 
-  const minDate = d3.min(filtered, (d) => d.time);
-  const maxDate = d3.max(filtered, (d) => d.time);
-  updateEarthquakeChart(
-    minDate || new Date("1995-01-01"),
-    maxDate || new Date()
+// -------- Timeline stacking/overlays and chart weightings --------
+function initTimelineControls() {
+  ["timeline-stack-select", "overlay-cumulative", "overlay-moment", "overlay-rolling", "rolling-window-input"].forEach(
+    (id) => document.getElementById(id).addEventListener("change", redrawTimeSeries)
   );
-  updateAllCharts(filtered);
+  // A new weighting changes the bar totals, so the bars are aggregated again
+  document
+    .getElementById("timeline-weight-select")
+    .addEventListener("change", () => leafletMap && updateEarthquakeChart());
+  ["magnitude-weight-select", "depth-weight-select", "boundary-weight-select"].forEach((id) =>
+    document.getElementById(id).addEventListener("change", () => updateAllCharts(getFilteredData()))
+  );
+  const boundaryView = document.getElementById("boundary-view-select");
+  boundaryView.addEventListener("change", () => {
+    syncBoundaryViewControls();
+    updateAllCharts(getFilteredData());
+    if (typeof scheduleUrlStateUpdate === "function") scheduleUrlStateUpdate();
+  });
+}
+
+// Distance bins only apply to the distance view of the plate-boundary chart
+function syncBoundaryViewControls() {
+  document
+    .getElementById("boundary-bins-controls")
+    .classList.toggle("hidden", document.getElementById("boundary-view-select").value === "type");
 }
 
+initTimelineControls();
+
 function getMagnitudeLabel(mag) {
-  if (mag >= 3 && mag < 4) return "3.0–3.9";
-  if (mag >= 4 && mag < 5) return "4.0–4.9";
-  if (mag >= 5 && mag < 6) return "5.0–5.9";
-  if (mag >= 6 && mag < 7) return "6.0–6.9";
-  if (mag >= 7 && mag < 8) return "7.0–7.9";
-  if (mag >= 8) return "8.0+";
-  return "Other";
+  return getBinLabel("magnitude", mag);
 }
 
 function getDepthLabel(depth) {
-  if (depth >= 0 && depth < 10) return "0–10km";
-  if (depth >= 10 && depth < 30) return "10–30km";
-  if (depth >= 30 && depth < 70) return "30–70km";
-  if (depth >= 70 && depth < 300) return "70–300km";
-  if (depth >= 300) return "300km+";
-  return "Other";
+  return getBinLabel("depth", depth);
 }
 
 function highlightLinkedCharts(quake) {
@@ -913,9 +1490,17 @@ function highlightLinkedCharts(quake) {
     d3.select(this).classed("highlighted-bar", isMatch);
   });
 
+  // Highlight the plate-boundary bar (distance bin or boundary type)
+  const boundaryLabel =
+    document.getElementById("boundary-view-select").value === "type"
+      ? getBoundaryTypeLabel(quake)
+      : getBoundaryDistanceLabel(quake);
+  d3.selectAll("#boundary-chart rect").each(function (d) {
+    d3.select(this).classed("highlighted-bar", d.label === boundaryLabel);
+  });
+
   // Highlight time series bar
-  // Highlight time series bar
-  d3.selectAll("#time-series-chart rect").each(function (d) {
+  d3.selectAll("#time-series-chart rect.time-bar").each(function (d) {
     const barDate = d3.timeFormat(currentTimeFormat)(new Date(d.date));
     const quakeFormattedDate = d3.timeFormat(currentTimeFormat)(quakeDate);
     const isMatch = barDate === quakeFormattedDate;
@@ -924,6 +1509,14 @@ function highlightLinkedCharts(quake) {
   });
 }
 
+// Removes the bar highlights left by highlightLinkedCharts
+function clearChartHighlights() {
+  d3.selectAll(
+    "#magnitude-chart rect, #depth-chart rect, #boundary-chart rect, #time-series-chart rect.time-bar"
+  )
+    .classed("highlighted-bar", false);
+}
+
 window.addEventListener("DOMContentLoaded", () => {
   const infoBtn = document.getElementById("info-btn");
   const infoPopup = document.getElementById("info-popup");
@@ -0,0 +1,159 @@
+/**
+ * File: playback.js
+ * Purpose:
+ *   - PlaybackEngine: a playhead that moves through catalog time on
+ *     requestAnimationFrame at day or hour resolution. It can be paused and
+ *     resumed in place, scrubbed, sped up or slowed down while playing and
+ *     looped over a sub-range.
+ *   - Knows nothing about the DOM or the filters; main.js turns each new
+ *     day/hour into a time filter (and fading trails on the map).
+ */
+
+const PLAYBACK_STEPS = { day: DAY_MS, hour: DAY_MS / 24 }; // Resolutions in ms
+const PLAYBACK_STEPS_PER_SECOND = 10; // At 1x speed
+
+/**
+ * Trail fading by age as a fraction of the decay window (0 = at the playhead):
+ * opacity falls from 1 to 0.15, and the newest tenth of the window glows.
+ */
+function trailOpacity(age) {
+  return Math.max(0.15, Math.min(1, 1 - age));
+}
+
+function trailGlow(age) {
+  return age >= 0 && age < 0.1 ? 1 - age / 0.1 : 0;
+}
+
+class PlaybackEngine {
+  /**
+   * @param {Object} callbacks - { onFrame(stepStart), onStateChange(playing) };
+   *   onFrame fires once per new step (day/hour, UTC), not on every animation frame
+   */
+  constructor({ onFrame, onStateChange }) {
+    this.onFrame = onFrame;
+    this.onStateChange = onStateChange;
+    this.start = 0; // Catalog extent (ms)
+    this.end = 0;
+    this.playhead = 0;
+    this.loop = null; // [start, end] (ms) replayed until paused, or null
+    this.resolution = "day";
+    this.speed = 1; // Multiplier of PLAYBACK_STEPS_PER_SECOND
+    this.playing = false;
+    this.frameId = null;
+    this.lastTimestamp = null;
+    this.lastStep = null;
+    this.frame = this.frame.bind(this);
+  }
+
+  get stepMs() {
+    return PLAYBACK_STEPS[this.resolution];
+  }
+
+  // Start of the day/hour the playhead is in
+  get currentStep() {
+    return Math.floor(this.playhead / this.stepMs) * this.stepMs;
+  }
+
+  setExtent(start, end) {
+    this.start = +start;
+    this.end = +end;
+    this.loop = null;
+    this.playhead = this.start;
+    this.lastStep = null;
+  }
+
+  // Redraws straight away only while playing; a paused frame keeps its step
+  setResolution(resolution) {
+    if (!PLAYBACK_STEPS[resolution]) return;
+    this.resolution = resolution;
+    if (this.playing) this.emit(true);
+  }
+
+  // Takes effect on the next animation frame, so it works mid-playback
+  setSpeed(multiplier) {
+    this.speed = multiplier;
+  }
+
+  /**
+   * Loops playback over [start, end] (Dates or ms); null plays the whole
+   * catalog once. A playhead outside the new loop jumps to its start.
+   */
+  setLoop(range) {
+    this.loop = range ? [+range[0], +range[1]] : null;
+    const [lo, hi] = this.bounds();
+    if (this.loop && (this.playhead < lo || this.playhead > hi)) this.seek(lo);
+  }
+
+  bounds() {
+    return this.loop || [this.start, this.end];
+  }
+
+  play() {
+    if (this.playing) return;
+    const [lo, hi] = this.bounds();
+    if (this.playhead < lo || this.playhead >= hi) this.playhead = lo; // Finished: start over
+
+    this.playing = true;
+    this.lastTimestamp = null;
+    this.onStateChange(true);
+    this.emit(true);
+    this.frameId = requestAnimationFrame(this.frame);
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.onStateChange(false);
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  // Back to the start of the loop (or catalog) without drawing a frame
+  rewind() {
+    this.playhead = this.bounds()[0];
+    this.lastStep = null;
+  }
+
+  // Scrubbing; allowed while playing or paused
+  seek(time) {
+    this.playhead = Math.max(this.start, Math.min(this.end, +time));
+    this.emit(true);
+  }
+
+  frame(timestamp) {
+    if (!this.playing) return;
+
+    if (this.lastTimestamp !== null) {
+      // Cap the step so a tab coming back from the background doesn't leap ahead
+      const elapsed = Math.min(timestamp - this.lastTimestamp, 250);
+      this.playhead += (elapsed / 1000) * PLAYBACK_STEPS_PER_SECOND * this.speed * this.stepMs;
+    }
+    this.lastTimestamp = timestamp;
+
+    const [lo, hi] = this.bounds();
+    if (this.playhead > hi) {
+      if (!this.loop) {
+        this.playhead = hi;
+        this.emit();
+        this.pause();
+        return;
+      }
+      this.playhead = lo;
+    }
+
+    this.emit();
+    this.frameId = requestAnimationFrame(this.frame);
+  }
+
+  emit(force = false) {
+    const step = this.currentStep;
+    if (!force && step === this.lastStep) return;
+    this.lastStep = step;
+    this.onFrame(step);
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * File: profile.js
+ * Purpose:
+ *   - Depth cross-section along a line drawn on the map (Brush Mode →
+ *     "Profile line"): every event on the map within the swath is plotted as
+ *     distance along the profile against depth, sized and coloured like the
+ *     map circles. Slabs (Wadati–Benioff zones) show up as dipping bands.
+ *   - Optional depth error bars (depth ± depthError) and faded poorly
+ *     constrained events, as set in the quality panel (quality.js).
+ *   - Links hovering both ways: profile point → map, map point → profile.
+ */
+
+let profileLine = null; // { start: [lat, lng], end: [lat, lng], widthKm } or null
+
+// -------- Profile state; each change redraws the line on the map and the panel --------
+function setProfileLine(start, end) {
+  const widthInput = document.getElementById("profile-width-input");
+  profileLine = { start, end, widthKm: +widthInput.value || 100 };
+  showProfile();
+}
+
+function setProfileWidth(widthKm) {
+  if (!(widthKm > 0)) return;
+  document.getElementById("profile-width-input").value = widthKm;
+  if (!profileLine) return;
+  profileLine.widthKm = widthKm;
+  showProfile();
+}
+
+function clearProfile() {
+  profileLine = null;
+  document.getElementById("profile-chart").classList.add("hidden");
+  if (leafletMap) leafletMap.showProfileLine(null);
+  if (typeof scheduleUrlStateUpdate === "function") scheduleUrlStateUpdate();
+}
+
+function showProfile() {
+  document.getElementById("profile-chart").classList.remove("hidden");
+  leafletMap.showProfileLine(profileLine);
+  updateProfileChart(leafletMap.data);
+  if (typeof scheduleUrlStateUpdate === "function") scheduleUrlStateUpdate();
+}
+
+/**
+ * Events within half the swath width of the profile and between its ends,
+ * with their along-profile distance.
+ */
+function getProfileEvents(data) {
+  const [startLat, startLng] = profileLine.start;
+  const [endLat, endLng] = profileLine.end;
+  const lengthKm = haversineKm(startLat, startLng, endLat, endLng);
+  const halfWidth = profileLine.widthKm / 2;
+
+  return data
+    .map((d) => ({
+      d,
+      ...profileDistances(startLat, startLng, endLat, endLng, d.latitude, d.longitude),
+    }))
+    .filter((p) => Math.abs(p.crossKm) <= halfWidth && p.alongKm >= 0 && p.alongKm <= lengthKm);
+}
+
+// -------- Distance-vs-depth scatter (called from applyFilters) --------
+function updateProfileChart(data) {
+  if (!profileLine) return;
+
+  const container = "#profile-chart";
+  const containerEl = document.querySelector(container);
+  const [startLat, startLng] = profileLine.start;
+  const [endLat, endLng] = profileLine.end;
+  const lengthKm = haversineKm(startLat, startLng, endLat, endLng);
+  const points = getProfileEvents(data);
+  const showErrors = qualityDisplay.showErrors;
+  const errorOf = (p) => (showErrors && p.d.depthError > 0 ? p.d.depthError : 0);
+
+  const width = containerEl.offsetWidth;
+  const height = 350;
+  const margin = { top: 30, right: 30, bottom: 50, left: 70 };
+  d3.select(container).select("svg").remove();
+
+  const svg = d3
+    .select(container)
+    .append("svg")
+    .attr("width", width)
+    .attr("height", height);
+
+  const x = d3
+    .scaleLinear()
+    .domain([0, lengthKm])
+    .range([margin.left, width - margin.right]);
+
+  // Depth grows downwards, like a geological section
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(points, (p) => p.d.depth + errorOf(p)) || 100])
+    .nice()
+    .range([margin.top, height - margin.bottom]);
+
+  svg
+    .append("g")
+    .attr("transform", `translate(0, ${height - margin.bottom})`)
+    .call(d3.axisBottom(x));
+
+  svg
+    .append("g")
+    .attr("transform", `translate(${margin.left}, 0)`)
+    .call(d3.axisLeft(y));
+
+  svg
+    .append("text")
+    .attr("x", width / 2)
+    .attr("y", height - 12)
+    .attr("text-anchor", "middle")
+    .style("font-size", "12px")
+    .style("fill", "white")
+    .text("Distance from A (km)");
+
+  svg
+    .append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -height / 2)
+    .attr("y", 20)
+    .attr("text-anchor", "middle")
+    .style("font-size", "12px")
+    .style("fill", "white")
+    .text("Depth (km)");
+
+  svg
+    .append("text")
+    .attr("x", width / 2)
+    .attr("y", margin.top - 10)
+    .attr("text-anchor", "middle")
+    .style("font-size", "18px")
+    .style("fill", "white")
+    .text(
+      `Depth Profile A–B (${points.length} events, ±${profileLine.widthKm / 2} km swath)`
+    );
+
+  // Depth uncertainty as vertical bars behind the points, clipped at the surface
+  svg
+    .append("g")
+    .attr("class", "profile-errors")
+    .selectAll("line")
+    .data(points.filter((p) => errorOf(p) > 0))
+    .join("line")
+    .attr("x1", (p) => x(p.alongKm))
+    .attr("x2", (p) => x(p.alongKm))
+    .attr("y1", (p) => y(Math.max(y.domain()[0], p.d.depth - errorOf(p))))
+    .attr("y2", (p) => y(p.d.depth + errorOf(p)))
+    .attr("stroke-opacity", (p) => qualityOpacity(p.d));
+
+  // Small events first so large ones stay on top, as on the map
+  svg
+    .append("g")
+    .attr("class", "profile-points")
+    .selectAll("circle")
+    .data(points.sort((a, b) => a.d.mag - b.d.mag), (p) => p.d.id)
+    .join("circle")
+    .attr("cx", (p) => x(p.alongKm))
+    .attr("cy", (p) => y(p.d.depth))
+    .attr("r", (p) => leafletMap.rScale(p.d.mag))
+    .attr("fill", (p) => leafletMap.colorScale(p.d.mag))
+    .attr("fill-opacity", (p) => qualityOpacity(p.d))
+    .attr("stroke", "black")
+    .attr("stroke-width", 0.5)
+    .on("mouseover", function (event, p) {
+      highlightProfileQuake(p.d);
+      leafletMap.showTooltip(event, p.d);
+      leafletMap.highlightQuake(p.d);
+    })
+    .on("mousemove", (event) => leafletMap.moveTooltip(event))
+    .on("mouseleave", () => {
+      highlightProfileQuake(null);
+      leafletMap.hideTooltip();
+      leafletMap.highlightQuake(null);
+    })
+    .on("click", (event, p) => leafletMap.toggleSelection(p.d));
+}
+
+/**
+ * Enlarges the profile point of quake d (null clears); called for hovers on
+ * the map as well as in the profile itself.
+ */
+function highlightProfileQuake(d) {
+  const circles = d3.selectAll("#profile-chart .profile-points circle");
+  circles
+    .filter(".profile-hover")
+    .classed("profile-hover", false)
+    .attr("r", (p) => leafletMap.rScale(p.d.mag))
+    .attr("stroke", "black")
+    .attr("stroke-width", 0.5);
+
+  if (!d) return;
+  circles
+    .filter((p) => p.d === d)
+    .classed("profile-hover", true)
+    .raise()
+    .attr("r", (p) => leafletMap.rScale(p.d.mag) * 1.6)
+    .attr("stroke", "red")
+    .attr("stroke-width", 2);
+}
+
+// -------- Panel controls (swath width, close) --------
+function initProfilePanel() {
+  document
+    .getElementById("profile-width-input")
+    .addEventListener("change", function () {
+      setProfileWidth(+this.value);
+    });
+  document.getElementById("profile-close").addEventListener("click", clearProfile);
+}
+
+initProfilePanel();
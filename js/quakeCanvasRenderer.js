@@ -0,0 +1,283 @@
+/**
+ * File: quakeCanvasRenderer.js
+ * Purpose:
+ *   - Draws quake circles onto a 2D <canvas> in its own Leaflet pane, so the
+ *     map stays smooth with 100k+ events (no DOM node per quake).
+ *   - Keeps a uniform grid index of the projected points for fast
+ *     hover/click hit-testing.
+ *   - Draws hovered/selected quakes on a second canvas so highlighting does
+ *     not repaint every point.
+ *   - Repeats quakes on every world copy in view, so events near the
+ *     antimeridian still show when the map is panned past ±180°.
+ *   - Optional per-quake opacity and glow, used for fading playback trails.
+ *   - Optional error halos: a faint disc of a given pixel radius under each quake.
+ */
+
+class QuakeCanvasRenderer {
+  /**
+   * @param {L.Map} map
+   * @param {Object} style - { radius(d), fill(d) } accessors shared with the SVG mode,
+   *   optionally opacity(d) in [0, 1], glow(d) in [0, 1] (halo strength) and
+   *   errorRadius(d) in px (0 = no error halo)
+   */
+  constructor(map, style) {
+    this.map = map;
+    this.style = style;
+    this.data = [];
+    this.visible = true;
+
+    // Own pane above the SVG overlay (400) but below markers/tooltips (600)
+    this.pane = map.getPane("quakeCanvas") || map.createPane("quakeCanvas");
+    this.pane.style.zIndex = 450;
+    this.pane.style.pointerEvents = "none"; // Hit-testing goes through map events
+
+    this.canvas = L.DomUtil.create("canvas", "quake-canvas", this.pane);
+    this.highlightCanvas = L.DomUtil.create("canvas", "quake-canvas", this.pane);
+    this.highlights = []; // [{ d, fill, stroke, strokeWidth, scale }]
+
+    // Projected points of the last redraw (indices into this.data)
+    this.xs = new Float32Array(0);
+    this.ys = new Float32Array(0);
+    this.rs = new Float32Array(0);
+    this.drawn = new Int32Array(0);
+    this.drawnCount = 0;
+
+    // The canvas covers the viewport, so repaint once the map settles;
+    // hide it while zooming since the old drawing would be at the wrong scale
+    map.on("moveend resize", this.redraw, this);
+    map.on("zoomstart", this.hideWhileZooming, this);
+  }
+
+  setData(data) {
+    // Paint small quakes first so large ones end up on top
+    this.data = data.slice().sort((a, b) => a.mag - b.mag);
+    this.redraw();
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.pane.style.display = visible ? "" : "none";
+    if (visible) this.redraw();
+  }
+
+  remove() {
+    this.map.off("moveend resize", this.redraw, this);
+    this.map.off("zoomstart", this.hideWhileZooming, this);
+    L.DomUtil.remove(this.canvas);
+    L.DomUtil.remove(this.highlightCanvas);
+  }
+
+  hideWhileZooming() {
+    this.canvas.style.visibility = "hidden";
+    this.highlightCanvas.style.visibility = "hidden";
+  }
+
+  // -------- Sizes both canvases to the viewport and pins them to its top-left --------
+  resetCanvases() {
+    const size = this.map.getSize();
+    const ratio = window.devicePixelRatio || 1;
+    const topLeft = this.map.containerPointToLayerPoint([0, 0]);
+
+    [this.canvas, this.highlightCanvas].forEach((canvas) => {
+      L.DomUtil.setPosition(canvas, topLeft);
+      canvas.width = size.x * ratio;
+      canvas.height = size.y * ratio;
+      canvas.style.width = size.x + "px";
+      canvas.style.height = size.y + "px";
+      canvas.style.visibility = "";
+
+      const ctx = canvas.getContext("2d");
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, size.x, size.y);
+    });
+    return size;
+  }
+
+  // -------- Pixel shifts of the world copies in view (see worldCopyOffsets) --------
+  worldCopyShifts() {
+    const bounds = this.map.getBounds();
+    const worldWidth = this.map.getPixelWorldBounds().getSize().x;
+    return worldCopyOffsets(bounds.getWest(), bounds.getEast()).map(
+      (offset) => (offset / 360) * worldWidth
+    );
+  }
+
+  // -------- Projects, draws and indexes every quake in view --------
+  redraw() {
+    if (!this.visible) return;
+
+    const size = this.resetCanvases();
+    const shifts = this.worldCopyShifts();
+    const n = this.data.length * shifts.length;
+    if (this.xs.length < n) {
+      this.xs = new Float32Array(n);
+      this.ys = new Float32Array(n);
+      this.rs = new Float32Array(n);
+      this.drawn = new Int32Array(n);
+    }
+
+    // Project and cull; group by fill and opacity so each group is one path
+    const opacity = this.style.opacity || (() => 1);
+    const glow = this.style.glow || (() => 0);
+    const errorRadius = this.style.errorRadius || (() => 0);
+    const groups = new Map();
+    const halos = [];
+    const errorHalos = [];
+    let count = 0;
+    let maxRadius = 0;
+    this.data.forEach((d, i) => {
+      const r = this.style.radius(d);
+      const p = this.map.latLngToContainerPoint([d.latitude, d.longitude]);
+      if (p.y < -r || p.y > size.y + r) return;
+
+      shifts.forEach((shift) => {
+        const x = p.x + shift;
+        if (x < -r || x > size.x + r) return;
+
+        this.xs[count] = x;
+        this.ys[count] = p.y;
+        this.rs[count] = r;
+        this.drawn[count] = i;
+        count++;
+        maxRadius = Math.max(maxRadius, r);
+
+        const fill = this.style.fill(d);
+        const alpha = Math.round(opacity(d) * 10) / 10; // 11 levels keep the groups few
+        const key = `${fill}|${alpha}`;
+        if (!groups.has(key)) groups.set(key, { fill, alpha, members: [] });
+        groups.get(key).members.push(count - 1);
+
+        const strength = glow(d);
+        if (strength > 0) halos.push({ k: count - 1, fill, strength });
+
+        const errorR = errorRadius(d);
+        if (errorR > 0) errorHalos.push({ k: count - 1, r: errorR });
+      });
+    });
+    this.drawnCount = count;
+
+    const ctx = this.canvas.getContext("2d");
+
+    // Error halos go under everything, as one path
+    if (errorHalos.length > 0) {
+      ctx.beginPath();
+      errorHalos.forEach(({ k, r }) => {
+        ctx.moveTo(this.xs[k] + r, this.ys[k]);
+        ctx.arc(this.xs[k], this.ys[k], r, 0, 2 * Math.PI);
+      });
+      ctx.fillStyle = "#01d1ff1a";
+      ctx.strokeStyle = "#01d1ff99";
+      ctx.lineWidth = 1;
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    // Halos go underneath, as a soft blurred disc around the quake
+    halos.forEach(({ k, fill, strength }) => {
+      ctx.save();
+      ctx.globalAlpha = 0.6 * strength;
+      ctx.shadowColor = fill;
+      ctx.shadowBlur = 12 * strength + 4;
+      ctx.beginPath();
+      ctx.arc(this.xs[k], this.ys[k], this.rs[k] * (1 + strength), 0, 2 * Math.PI);
+      ctx.fillStyle = fill;
+      ctx.fill();
+      ctx.restore();
+    });
+
+    ctx.strokeStyle = "black";
+    ctx.lineWidth = 1;
+    groups.forEach(({ fill, alpha, members }) => {
+      ctx.beginPath();
+      members.forEach((k) => {
+        ctx.moveTo(this.xs[k] + this.rs[k], this.ys[k]);
+        ctx.arc(this.xs[k], this.ys[k], this.rs[k], 0, 2 * Math.PI);
+      });
+      ctx.globalAlpha = alpha;
+      ctx.fillStyle = fill;
+      ctx.fill();
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+
+    this.buildIndex(size, Math.max(16, Math.ceil(maxRadius) + 4));
+    this.drawHighlights();
+  }
+
+  // -------- Uniform grid over the viewport, stored CSR-style in typed arrays --------
+  buildIndex(size, cellSize) {
+    const cols = Math.ceil(size.x / cellSize) + 2; // +2: points overhanging the edges
+    const rows = Math.ceil(size.y / cellSize) + 2;
+    const cellOf = (k) =>
+      (Math.floor(this.ys[k] / cellSize) + 1) * cols +
+      (Math.floor(this.xs[k] / cellSize) + 1);
+
+    const cellStart = new Int32Array(cols * rows + 1);
+    const cells = new Int32Array(this.drawnCount);
+    for (let k = 0; k < this.drawnCount; k++) {
+      cells[k] = Math.min(cols * rows - 1, Math.max(0, cellOf(k)));
+      cellStart[cells[k] + 1]++;
+    }
+    for (let c = 0; c < cols * rows; c++) cellStart[c + 1] += cellStart[c];
+
+    const fill = cellStart.slice(0, cols * rows);
+    const items = new Int32Array(this.drawnCount);
+    for (let k = 0; k < this.drawnCount; k++) items[fill[cells[k]]++] = k;
+
+    this.index = { cellSize, cols, rows, cellStart, items };
+  }
+
+  /**
+   * Returns the quake under a container point (topmost wins), or null.
+   */
+  hitTest(point) {
+    if (!this.index || !this.visible) return null;
+
+    const { cellSize, cols, rows, cellStart, items } = this.index;
+    const col = Math.floor(point.x / cellSize) + 1;
+    const row = Math.floor(point.y / cellSize) + 1;
+    let best = -1;
+
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = col - 1; c <= col + 1; c++) {
+        if (r < 0 || c < 0 || r >= rows || c >= cols) continue;
+        const cell = r * cols + c;
+        for (let j = cellStart[cell]; j < cellStart[cell + 1]; j++) {
+          const k = items[j];
+          const dx = point.x - this.xs[k];
+          const dy = point.y - this.ys[k];
+          const hitRadius = this.rs[k] + 2; // A little slack for tiny dots
+          // Later in draw order = painted on top
+          if (dx * dx + dy * dy <= hitRadius * hitRadius && k > best) best = k;
+        }
+      }
+    }
+    return best >= 0 ? this.data[this.drawn[best]] : null;
+  }
+
+  // -------- Hover/selection overlay --------
+  setHighlights(highlights) {
+    this.highlights = highlights.filter((h) => h && h.d);
+    this.drawHighlights();
+  }
+
+  drawHighlights() {
+    const size = this.map.getSize();
+    const shifts = this.worldCopyShifts();
+    const ctx = this.highlightCanvas.getContext("2d");
+    ctx.clearRect(0, 0, size.x, size.y);
+
+    this.highlights.forEach((h) => {
+      const p = this.map.latLngToContainerPoint([h.d.latitude, h.d.longitude]);
+      shifts.forEach((shift) => {
+        ctx.beginPath();
+        ctx.arc(p.x + shift, p.y, this.style.radius(h.d) * h.scale, 0, 2 * Math.PI);
+        ctx.fillStyle = h.fill;
+        ctx.fill();
+        ctx.strokeStyle = h.stroke;
+        ctx.lineWidth = h.strokeWidth;
+        ctx.stroke();
+      });
+    });
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * File: quality.js
+ * Purpose:
+ *   - Catalog-quality filter (reviewed only, azimuthal gap, location/depth/
+ *     magnitude errors, RMS, station count) applied with every other filter.
+ *   - Flags poorly constrained events, which the map and the depth profile
+ *     draw faded, and lists why in the tooltip.
+ *   - Display toggles for the uncertainties themselves: horizontal-error
+ *     halos on the map, depth error bars in the profile.
+ */
+
+/**
+ * Numeric quality columns the filter can limit. Events must be below a "max"
+ * limit or at least a "min" one; events without the value fail an active
+ * limit. poor: beyond this an event counts as poorly constrained.
+ */
+const QUALITY_FILTERS = {
+  gap: { label: "Azimuthal gap", bound: "max", unit: "°", step: 10, poor: 180 },
+  horizontalError: { label: "Horizontal error", bound: "max", unit: " km", step: 1, poor: 15 },
+  depthError: { label: "Depth error", bound: "max", unit: " km", step: 1, poor: 20 },
+  magError: { label: "Magnitude error", bound: "max", unit: "", step: 0.05, poor: 0.3 },
+  rms: { label: "RMS residual", bound: "max", unit: " s", step: 0.1, poor: null },
+  nst: { label: "Stations", bound: "min", unit: "", step: 1, poor: null },
+};
+
+const POOR_QUALITY_OPACITY = 0.3;
+
+// How uncertainties are shown; not filters, so they don't add chips
+const qualityDisplay = {
+  fadePoor: true, // Draw poorly constrained events faded
+  showErrors: false, // Error halos on the map, depth error bars in the profile
+};
+
+function formatQualityValue(key, value) {
+  return `${+value.toFixed(2)}${QUALITY_FILTERS[key].unit}`;
+}
+
+// "Azimuthal gap < 180°", "Stations ≥ 10"
+function describeQualityLimit(key, limit) {
+  const { label, bound } = QUALITY_FILTERS[key];
+  return `${label} ${bound === "max" ? "<" : "≥"} ${formatQualityValue(key, limit)}`;
+}
+
+// -------- Filter test (used by passesFilters) --------
+function passesQualityFilter(d) {
+  const quality = filterState.quality;
+  if (quality.reviewed && d.status !== "reviewed") return false;
+
+  return Object.entries(QUALITY_FILTERS).every(([key, { bound }]) => {
+    const limit = quality[key];
+    if (limit === null) return true;
+    if (d[key] === null || d[key] === undefined) return false;
+    return bound === "max" ? d[key] < limit : d[key] >= limit;
+  });
+}
+
+// One entry per active criterion: [{ key, text }] (chips, export header)
+function getQualityCriteria() {
+  const quality = filterState.quality;
+  const criteria = quality.reviewed ? [{ key: "reviewed", text: "reviewed only" }] : [];
+  Object.keys(QUALITY_FILTERS).forEach((key) => {
+    if (quality[key] !== null) criteria.push({ key, text: describeQualityLimit(key, quality[key]) });
+  });
+  return criteria;
+}
+
+function describeQualityFilter() {
+  return getQualityCriteria().map((c) => c.text).join(", ") || "all";
+}
+
+// -------- Poorly constrained events --------
+// Reasons an event is poorly constrained, e.g. ["Azimuthal gap 230° > 180°"]
+function qualityIssues(d) {
+  return Object.entries(QUALITY_FILTERS)
+    .filter(([key, { poor }]) => poor !== null && d[key] !== null && d[key] > poor)
+    .map(
+      ([key, { label, poor }]) =>
+        `${label} ${formatQualityValue(key, d[key])} > ${formatQualityValue(key, poor)}`
+    );
+}
+
+// Same test as qualityIssues without building the text (runs per point per redraw)
+function isPoorlyConstrained(d) {
+  return Object.entries(QUALITY_FILTERS).some(
+    ([key, { poor }]) => poor !== null && d[key] !== null && d[key] > poor
+  );
+}
+
+// Opacity factor for an event's circle: faded when poorly constrained
+function qualityOpacity(d) {
+  return qualityDisplay.fadePoor && isPoorlyConstrained(d) ? POOR_QUALITY_OPACITY : 1;
+}
+
+// -------- Setters --------
+/**
+ * Replaces the quality criteria: { reviewed, gap, horizontalError, … },
+ * with null for "no limit". Keys not given are left as they are.
+ */
+function setQualityFilter(criteria) {
+  Object.assign(filterState.quality, criteria);
+  syncQualityControls();
+  applyFilters();
+}
+
+function setQualityDisplay(display) {
+  Object.assign(qualityDisplay, display);
+  syncQualityControls();
+  if (leafletMap) applyFilters();
+}
+
+function resetQualityFilter() {
+  filterState.quality.reviewed = false;
+  Object.keys(QUALITY_FILTERS).forEach((key) => (filterState.quality[key] = null));
+  syncQualityControls();
+}
+
+// Compact form for links: "reviewed|gap:180|magError:0.2"
+function encodeQualityFilter() {
+  return getQualityCriteria()
+    .map(({ key }) => (key === "reviewed" ? key : `${key}:${filterState.quality[key]}`))
+    .join("|");
+}
+
+function decodeQualityFilter(value) {
+  filterState.quality.reviewed = false;
+  Object.keys(QUALITY_FILTERS).forEach((key) => (filterState.quality[key] = null));
+
+  (value ? value.split("|") : []).forEach((entry) => {
+    const [key, limit] = entry.split(":");
+    if (key === "reviewed") filterState.quality.reviewed = true;
+    else if (QUALITY_FILTERS[key] && limit !== "" && isFinite(limit)) filterState.quality[key] = +limit;
+  });
+  syncQualityControls();
+}
+
+// -------- Quality panel (opened from the "Quality" button on the map) --------
+function syncQualityControls() {
+  document.getElementById("quality-reviewed").checked = filterState.quality.reviewed;
+  Object.keys(QUALITY_FILTERS).forEach((key) => {
+    const limit = filterState.quality[key];
+    document.getElementById(`quality-${key}`).value = limit === null ? "" : limit;
+  });
+  document.getElementById("quality-fade").checked = qualityDisplay.fadePoor;
+  document.getElementById("quality-errors").checked = qualityDisplay.showErrors;
+}
+
+function initQualityPanel() {
+  const panel = document.getElementById("quality-panel");
+  const limits = document.getElementById("quality-limits");
+
+  Object.entries(QUALITY_FILTERS).forEach(([key, { label, bound, unit, step, poor }]) => {
+    const row = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = 0;
+    input.step = step;
+    input.id = `quality-${key}`;
+    input.placeholder = "any";
+    input.title = poor === null ? "" : `Poorly constrained beyond ${formatQualityValue(key, poor)}`;
+    input.addEventListener("change", () => {
+      const limit = input.value === "" ? null : +input.value;
+      setQualityFilter({ [key]: limit === null || isNaN(limit) ? null : limit });
+    });
+    row.append(`${label} ${bound === "max" ? "<" : "≥"} `, input, unit.trim());
+    limits.appendChild(row);
+  });
+
+  document.getElementById("quality-reviewed").addEventListener("change", function () {
+    setQualityFilter({ reviewed: this.checked });
+  });
+  document.getElementById("quality-fade").addEventListener("change", function () {
+    setQualityDisplay({ fadePoor: this.checked });
+  });
+  document.getElementById("quality-errors").addEventListener("change", function () {
+    setQualityDisplay({ showErrors: this.checked });
+  });
+  document.getElementById("quality-clear").addEventListener("click", () => {
+    resetQualityFilter();
+    applyFilters();
+  });
+
+  document.getElementById("quality-btn").addEventListener("click", () => {
+    panel.classList.toggle("hidden");
+  });
+  document
+    .getElementById("quality-close")
+    .addEventListener("click", () => panel.classList.add("hidden"));
+
+  syncQualityControls();
+}
+
+initQualityPanel();
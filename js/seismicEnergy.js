@@ -0,0 +1,78 @@
+/**
+ * File: seismicEnergy.js
+ * Purpose:
+ *   - Converts catalog magnitudes to moment magnitude (Mw) according to their
+ *     magType, then to seismic moment and radiated energy, so an M8 can
+ *     outweigh thousands of M3s the way it does in nature.
+ *   - Defines the count / moment / energy weightings the charts offer and
+ *     the energy used to size map circles and colour hex bins.
+ */
+
+/**
+ * magType (lower case) → Mw. Every "mw…" type (mww, mwr, mwb, mwc, …) is
+ * already Mw. Body- and surface-wave magnitudes use the global regressions of
+ * Scordilis (2006); local and duration magnitudes (ml, md, mh, …) track Mw
+ * closely over the range these catalogs cover and are used as they are, as
+ * is any type not listed.
+ */
+const MW_CONVERSIONS = {
+  mb: (m) => 0.85 * m + 1.03,
+  mb_lg: (m) => 0.85 * m + 1.03,
+  ms: (m) => (m < 6.2 ? 0.67 * m + 2.07 : 0.99 * m + 0.08),
+  ms_20: (m) => (m < 6.2 ? 0.67 * m + 2.07 : 0.99 * m + 0.08),
+};
+
+const EVENT_WEIGHTINGS = {
+  count: {
+    label: "Count",
+    axisLabel: "Number of Earthquakes",
+    value: () => 1,
+    format: d3.format(","),
+    tickFormat: d3.format(".0f"),
+  },
+  moment: {
+    label: "Moment",
+    axisLabel: "Seismic moment (N·m)",
+    value: quakeMoment,
+    format: (v) => `${v.toExponential(2)} N·m`,
+    tickFormat: d3.format(".1e"),
+  },
+  energy: {
+    label: "Energy",
+    axisLabel: "Radiated energy (J)",
+    value: quakeEnergy,
+    format: (v) => `${v.toExponential(2)} J`,
+    tickFormat: d3.format(".1e"),
+  },
+};
+
+// Mw of a catalog record, converted from its magType where needed
+function momentMagnitude(d) {
+  const type = String(d.magType || "").trim().toLowerCase();
+  const convert = type.startsWith("mw") ? null : MW_CONVERSIONS[type];
+  return convert ? convert(d.mag) : d.mag;
+}
+
+/**
+ * Seismic moment in N·m from the Hanks & Kanamori moment magnitude relation
+ * log10 M0 = 1.5 Mw + 9.1.
+ */
+function seismicMoment(mw) {
+  return Math.pow(10, 1.5 * mw + 9.1);
+}
+
+/**
+ * Radiated energy in joules from the Gutenberg–Richter energy relation
+ * log10 E = 1.5 M + 4.8, applied to Mw.
+ */
+function seismicEnergy(mw) {
+  return Math.pow(10, 1.5 * mw + 4.8);
+}
+
+function quakeMoment(d) {
+  return seismicMoment(momentMagnitude(d));
+}
+
+function quakeEnergy(d) {
+  return seismicEnergy(momentMagnitude(d));
+}
@@ -0,0 +1,164 @@
+/**
+ * File: selection.js
+ * Purpose:
+ *   - Describes the spatial selection drawn in Brush Mode as a list of shapes
+ *     (rectangle, lasso polygon, "within N km" circle), each added to or
+ *     subtracted from the selection.
+ *   - Tests quakes against that list, turns shapes into Leaflet layers and
+ *     chip labels, and encodes them for the URL hash.
+ *
+ * Entry format: { op: "add" | "subtract", shape }
+ *   shape = { type: "rect", south, west, north, east }
+ *         | { type: "polygon", ring: [[lat, lng], ...], bbox }
+ *         | { type: "circle", lat, lng, radiusKm }
+ */
+
+// interactive: false so a new brush can start on top of an existing shape
+const SELECTION_STYLES = {
+  add: { color: "#fb5c6a", weight: 2, fillOpacity: 0.1, interactive: false },
+  subtract: {
+    color: "#3b8bff",
+    weight: 2,
+    dashArray: "6 4",
+    fillOpacity: 0.05,
+    interactive: false,
+  },
+};
+
+// -------- Shape constructors --------
+function createRectShape(bounds) {
+  return {
+    type: "rect",
+    south: bounds.getSouth(),
+    west: bounds.getWest(),
+    north: bounds.getNorth(),
+    east: bounds.getEast(),
+  };
+}
+
+function createPolygonShape(ring) {
+  const lats = ring.map(([lat]) => lat);
+  const lngs = ring.map(([, lng]) => lng);
+  return {
+    type: "polygon",
+    ring,
+    // Cheap rejection before the full ray cast
+    bbox: [d3.min(lats), d3.min(lngs), d3.max(lats), d3.max(lngs)],
+  };
+}
+
+function createCircleShape(lat, lng, radiusKm) {
+  return { type: "circle", lat, lng, radiusKm };
+}
+
+// -------- Membership --------
+// Shapes keep the longitudes they were drawn at (a box over Fiji may run
+// from 170° to 190°), so quake longitudes are wrapped into each shape's range.
+function shapeContains(shape, lat, lng) {
+  if (shape.type === "rect") {
+    return (
+      lat >= shape.south && lat <= shape.north &&
+      wrapLongitude(lng, shape.west) <= shape.east
+    );
+  }
+  if (shape.type === "polygon") {
+    const [south, west, north, east] = shape.bbox;
+    const x = wrapLongitude(lng, west);
+    if (lat < south || lat > north || x > east) return false;
+    return pointInPolygon(lat, x, shape.ring);
+  }
+  if (shape.type === "circle") {
+    return haversineKm(shape.lat, shape.lng, lat, lng) <= shape.radiusKm;
+  }
+  return false;
+}
+
+/**
+ * Entries apply in order: "add" pulls matching quakes in, "subtract" takes
+ * them out again. A list that starts with a subtraction starts from everything.
+ */
+function selectionContains(selection, d) {
+  let inside = selection.length > 0 && selection[0].op === "subtract";
+  selection.forEach(({ op, shape }) => {
+    if (shapeContains(shape, d.latitude, d.longitude)) inside = op === "add";
+  });
+  return inside;
+}
+
+// -------- Leaflet layer for drawing a shape on the map --------
+function selectionShapeLayer({ op, shape }) {
+  const style = SELECTION_STYLES[op];
+  if (shape.type === "rect") {
+    return L.rectangle(
+      [[shape.south, shape.west], [shape.north, shape.east]],
+      style
+    );
+  }
+  if (shape.type === "polygon") return L.polygon(shape.ring, style);
+  return L.circle([shape.lat, shape.lng], { ...style, radius: shape.radiusKm * 1000 });
+}
+
+// -------- Chip / export labels --------
+function describeSelectionEntry({ op, shape }) {
+  const prefix = op === "subtract" ? "Excluding " : "";
+  const lat = (v) => `${Math.abs(v).toFixed(1)}°${v < 0 ? "S" : "N"}`;
+  const lng = (v) => {
+    const wrapped = wrapLongitude(v);
+    return `${Math.abs(wrapped).toFixed(1)}°${wrapped < 0 ? "W" : "E"}`;
+  };
+
+  if (shape.type === "rect") {
+    return prefix + formatBounds(
+      L.latLngBounds([shape.south, shape.west], [shape.north, shape.east])
+    );
+  }
+  if (shape.type === "polygon") {
+    const [south, west, north, east] = shape.bbox;
+    return (
+      `${prefix}lasso (${shape.ring.length} points) in ` +
+      formatBounds(L.latLngBounds([south, west], [north, east]))
+    );
+  }
+  return `${prefix}within ${Math.round(shape.radiusKm)} km of ${lat(shape.lat)} ${lng(shape.lng)}`;
+}
+
+// -------- URL hash: "add_rect_s,w,n,e|subtract_circle_lat,lng,km|add_polygon_lat,lng,..." --------
+function encodeSelection(selection) {
+  return selection
+    .map(({ op, shape }) => {
+      let values;
+      if (shape.type === "rect") {
+        values = [shape.south, shape.west, shape.north, shape.east];
+      } else if (shape.type === "polygon") {
+        values = shape.ring.flat();
+      } else {
+        values = [shape.lat, shape.lng, shape.radiusKm];
+      }
+      return `${op}_${shape.type}_${values.map((v) => +v.toFixed(3)).join(",")}`;
+    })
+    .join("|");
+}
+
+function decodeSelection(text) {
+  return (text || "")
+    .split("|")
+    .map((part) => {
+      const [op, type, list] = part.split("_");
+      const values = (list || "").split(",").map(Number);
+      if (!SELECTION_STYLES[op] || values.some((v) => isNaN(v))) return null;
+
+      if (type === "rect" && values.length === 4) {
+        const [south, west, north, east] = values;
+        return { op, shape: { type, south, west, north, east } };
+      }
+      if (type === "polygon" && values.length >= 6 && values.length % 2 === 0) {
+        const ring = d3.range(0, values.length, 2).map((i) => [values[i], values[i + 1]]);
+        return { op, shape: createPolygonShape(ring) };
+      }
+      if (type === "circle" && values.length === 3 && values[2] > 0) {
+        return { op, shape: createCircleShape(...values) };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,237 @@
+/**
+ * File: sequencePanel.js
+ * Purpose:
+ *   - Sequence Mode: clicking an event on the map treats it as a mainshock
+ *     and opens the aftershock panel (aftershocks.js) for it: observed rate
+ *     against time since the mainshock on log axes with the fitted modified
+ *     Omori curve, the K/c/p values, a Båth's-law comparison and the largest
+ *     aftershocks.
+ *   - Aftershocks are gathered from the whole catalog, not just the filtered
+ *     events, so the time slider doesn't cut a sequence short.
+ */
+
+let sequenceMode = false;
+let currentSequence = null; // analyzeAftershockSequence() result on display
+
+// -------- Called by LeafletMap.toggleSelection for every newly selected quake --------
+function handleSequenceClick(d) {
+  if (!sequenceMode || !d) return;
+  showAftershockSequence(d);
+}
+
+function showAftershockSequence(mainshock) {
+  currentSequence = analyzeAftershockSequence(mainshock, fullData);
+  document.getElementById("sequence-chart").classList.remove("hidden");
+  leafletMap.showSequenceWindow(currentSequence);
+  drawSequenceChart();
+  renderLargestAftershocks();
+}
+
+function clearAftershockSequence() {
+  currentSequence = null;
+  document.getElementById("sequence-chart").classList.add("hidden");
+  if (leafletMap) leafletMap.showSequenceWindow(null);
+}
+
+// -------- Rate vs. time since the mainshock, both log scales --------
+function drawSequenceChart() {
+  const container = "#sequence-chart";
+  const containerEl = document.querySelector(container);
+  const { mainshock, window: win, t2, aftershocks, rates, fit, bath } = currentSequence;
+  const observed = rates.filter((r) => r.count > 0);
+
+  const width = containerEl.offsetWidth;
+  const height = 350;
+  const margin = { top: 30, right: 30, bottom: 50, left: 70 };
+  d3.select(container).select("svg").remove();
+
+  const svg = d3
+    .select(container)
+    .insert("svg", ".sequence-largest")
+    .attr("width", width)
+    .attr("height", height);
+
+  svg
+    .append("text")
+    .attr("x", width / 2)
+    .attr("y", margin.top - 10)
+    .attr("text-anchor", "middle")
+    .style("font-size", "18px")
+    .style("fill", "white")
+    .text(`Aftershocks of M${mainshock.mag} (${aftershocks.length} events)`);
+
+  if (observed.length === 0) {
+    svg
+      .append("text")
+      .attr("x", width / 2)
+      .attr("y", height / 2)
+      .attr("text-anchor", "middle")
+      .style("fill", "white")
+      .text(
+        `No events within ${Math.round(win.distanceKm)} km and ${Math.round(win.days)} days`
+      );
+    return;
+  }
+
+  // The fitted curve is drawn on a fine log-spaced grid across the same span
+  const tStart = observed[0].t0;
+  const curve = fit
+    ? d3.range(61).map((i) => {
+        const t = tStart * Math.pow(t2 / tStart, i / 60);
+        return { t, rate: omoriRate(t, fit) };
+      })
+    : [];
+
+  const x = d3
+    .scaleLog()
+    .domain([tStart, t2])
+    .range([margin.left, width - margin.right]);
+
+  const y = d3
+    .scaleLog()
+    .domain(d3.extent([...observed, ...curve], (r) => r.rate))
+    .nice()
+    .range([height - margin.bottom, margin.top]);
+
+  svg
+    .append("g")
+    .attr("transform", `translate(0, ${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(5, "~g"));
+
+  svg
+    .append("g")
+    .attr("transform", `translate(${margin.left}, 0)`)
+    .call(d3.axisLeft(y).ticks(5, "~g"));
+
+  svg
+    .append("text")
+    .attr("x", width / 2)
+    .attr("y", height - 12)
+    .attr("text-anchor", "middle")
+    .style("font-size", "12px")
+    .style("fill", "white")
+    .text("Days since mainshock");
+
+  svg
+    .append("text")
+    .attr("transform", "rotate(-90)")
+    .attr("x", -height / 2)
+    .attr("y", 20)
+    .attr("text-anchor", "middle")
+    .style("font-size", "12px")
+    .style("fill", "white")
+    .text("Aftershocks per day");
+
+  if (fit) {
+    svg
+      .append("path")
+      .datum(curve)
+      .attr("fill", "none")
+      .attr("stroke", "#f15969")
+      .attr("stroke-width", 2)
+      .attr(
+        "d",
+        d3
+          .line()
+          .x((r) => x(r.t))
+          .y((r) => y(r.rate))
+      );
+  }
+
+  svg
+    .append("g")
+    .selectAll("circle")
+    .data(observed)
+    .join("circle")
+    .attr("cx", (r) => x(r.t))
+    .attr("cy", (r) => y(r.rate))
+    .attr("r", 4)
+    .attr("fill", "#01d1ff")
+    .on("mouseover", (event, r) => {
+      d3.select("#tooltip")
+        .style("opacity", 1)
+        .style("z-index", 1000000)
+        .html(
+          `<strong>${formatDays(r.t0)} – ${formatDays(r.t1)}</strong><br>` +
+            `${r.count} events (${r.rate.toPrecision(3)} per day)`
+        );
+    })
+    .on("mousemove", (event) => {
+      d3.select("#tooltip")
+        .style("left", event.pageX + 10 + "px")
+        .style("top", event.pageY + 10 + "px");
+    })
+    .on("mouseleave", () => d3.select("#tooltip").style("opacity", 0));
+
+  const lines = [
+    `Window: ${Math.round(win.distanceKm)} km, ${Math.round(win.days)} days (Gardner–Knopoff)`,
+    fit
+      ? `Omori: K = ${fit.K.toPrecision(3)}, c = ${fit.c.toPrecision(2)} d, p = ${fit.p.toFixed(2)}`
+      : `Omori: too few aftershocks to fit (need ${AFTERSHOCK_DEFAULTS.minEvents})`,
+  ];
+  if (bath) {
+    lines.push(
+      `Largest aftershock M${bath.largestMag}: ΔM = ${bath.deltaM.toFixed(1)} ` +
+        `(Båth: ${BATH_DELTA_M}, expect ~M${bath.expectedMag.toFixed(1)})`
+    );
+  }
+
+  svg
+    .append("g")
+    .selectAll("text")
+    .data(lines)
+    .join("text")
+    .attr("x", width - margin.right - 4)
+    .attr("y", (d, i) => margin.top + 14 + i * 15)
+    .attr("text-anchor", "end")
+    .style("font-size", "12px")
+    .style("fill", "white")
+    .text((d) => d);
+}
+
+// -------- Largest aftershocks; hovering a row highlights it on the map --------
+function renderLargestAftershocks() {
+  d3.select("#sequence-chart .sequence-largest")
+    .selectAll("li")
+    .data(currentSequence.largest)
+    .join("li")
+    .text(
+      (a) =>
+        `M${a.d.mag} +${formatDays(a.days)}, ${Math.round(a.distanceKm)} km – ` +
+        (a.d.place || "Unknown")
+    )
+    .on("mouseover", (event, a) => {
+      leafletMap.showTooltip(event, a.d);
+      leafletMap.highlightQuake(a.d);
+    })
+    .on("mousemove", (event) => leafletMap.moveTooltip(event))
+    .on("mouseleave", () => {
+      leafletMap.hideTooltip();
+      leafletMap.highlightQuake(null);
+    });
+}
+
+// "3.2 h", "4.5 d" or "120 d" for a delay in days
+function formatDays(days) {
+  if (days < 1) return `${(days * 24).toPrecision(2)} h`;
+  return `${days < 10 ? days.toFixed(1) : Math.round(days)} d`;
+}
+
+// -------- Sequence Mode button and the panel's close button --------
+function initSequencePanel() {
+  const button = document.getElementById("sequence-mode-btn");
+
+  button.addEventListener("click", () => {
+    sequenceMode = !sequenceMode;
+    button.textContent = sequenceMode ? "Exit Sequence Mode" : "Sequence Mode";
+    button.title = sequenceMode ? "" : "Click an event to explore its aftershocks";
+
+    // A quake selected before switching on is the obvious mainshock
+    if (sequenceMode && leafletMap && leafletMap.selectedQuake) {
+      showAftershockSequence(leafletMap.selectedQuake);
+    }
+  });
+  document.getElementById("sequence-close").addEventListener("click", clearAftershockSequence);
+}
+
+initSequencePanel();
@@ -0,0 +1,380 @@
+/**
+ * File: tectonics.js
+ * Purpose:
+ *   - Map overlays listed under "overlays" in data/datasets.json: plate
+ *     boundaries (kind "plates") coloured by type, and fault traces (kind
+ *     "faults"), which can also be loaded from a local GeoJSON file. Each
+ *     overlay has a checkbox beside the base-layer dropdown.
+ *   - Gives every event the distance to its nearest plate boundary and that
+ *     boundary's type and name (d.boundaryDistance in km, d.boundaryType,
+ *     d.boundaryName; null until the boundaries load). The distance and type
+ *     are binned, filtered and charted like depth and magnitude. The bundled
+ *     boundaries are sketched, so distances are rounded and shown as
+ *     approximate.
+ *   - Lines are repeated on every world copy, like the quakes.
+ */
+
+// Boundary types in display order; the labels are the chart bars and filter values
+const BOUNDARY_TYPES = {
+  ridge: { label: "Ridge", color: "#f5a623" },
+  trench: { label: "Trench", color: "#f15969" },
+  transform: { label: "Transform", color: "#0ed354" },
+  other: { label: "Other", color: "#d0d0d0" },
+};
+
+// Spellings found in boundary files, including the PB2002 step classes
+const BOUNDARY_TYPE_ALIASES = {
+  ridge: ["ridge", "spreading", "spreading center", "divergent", "rift", "osr", "crb"],
+  trench: ["trench", "subduction", "convergent", "collision", "sub", "ocb", "ccb"],
+  transform: ["transform", "fracture zone", "otf", "ctf"],
+};
+
+const FAULT_COLOR = "#ffd400";
+
+// data/plate-boundaries.geojson is drawn by hand and off by typically 50–150 km,
+// so distances are kept no finer than this and always labelled approximate
+const BOUNDARY_DISTANCE_STEP = 10; // km
+const BOUNDARY_ACCURACY_NOTE =
+  "approximate: the boundaries are sketched to within about 50–150 km";
+const TECTONIC_PANE = "tectonicPane"; // Above the tiles, under the quakes
+
+/**
+ * Overlays from the manifest and the fault file picker:
+ * { id, label, kind, path, visible, layer, lines } where lines is
+ * [{ name, type, coords: [[lat, lng], …] }], null until loaded.
+ */
+let tectonicOverlays = [];
+
+function normalizeBoundaryType(value) {
+  const text = String(value || "").trim().toLowerCase();
+  const type = Object.keys(BOUNDARY_TYPE_ALIASES).find((key) =>
+    BOUNDARY_TYPE_ALIASES[key].includes(text)
+  );
+  return type || "other";
+}
+
+// -------- GeoJSON → lines --------
+/**
+ * Every line of a GeoJSON object (FeatureCollection, Feature or bare
+ * geometry); polygon rings count as lines. Longitudes are made continuous
+ * along each line, so lines across ±180° draw without a jump.
+ */
+function parseTectonicGeoJson(json) {
+  if (!json || typeof json !== "object") throw new Error("not a GeoJSON object");
+
+  const lines = [];
+  const addGeometry = (geometry, props) => {
+    if (!geometry) return;
+    const { type, coordinates } = geometry;
+    let parts = [];
+    if (type === "LineString") parts = [coordinates];
+    else if (type === "MultiLineString" || type === "Polygon") parts = coordinates;
+    else if (type === "MultiPolygon") parts = coordinates.flat();
+    else if (type === "GeometryCollection") {
+      geometry.geometries.forEach((g) => addGeometry(g, props));
+    }
+
+    parts.forEach((part) => {
+      let previousLng = null;
+      const coords = (part || [])
+        .filter((c) => Array.isArray(c) && isFinite(c[0]) && isFinite(c[1]))
+        .map(([lng, lat]) => {
+          previousLng = previousLng === null ? +lng : wrapLongitude(+lng, previousLng - 180);
+          return [+lat, previousLng];
+        });
+      if (coords.length < 2) return;
+      lines.push({
+        name: props.name || props.Name || props.NAME || props.fault_name || "",
+        type: normalizeBoundaryType(
+          props.type || props.Type || props.TYPE || props.boundaryType || props.STEPCLASS
+        ),
+        coords,
+      });
+    });
+  };
+
+  const features =
+    json.type === "FeatureCollection" ? json.features || [] : json.type === "Feature" ? [json] : null;
+  if (features) features.forEach((f) => f && addGeometry(f.geometry, f.properties || {}));
+  else addGeometry(json, {});
+
+  if (lines.length === 0) throw new Error("no line or polygon features found");
+  return lines;
+}
+
+// -------- Overlays from the manifest --------
+/**
+ * Registers the manifest's overlays and starts loading them; called before
+ * the first catalog loads. Plate boundaries annotate the catalog on arrival.
+ */
+function initTectonicOverlays(entries) {
+  tectonicOverlays = entries
+    .filter((entry) => entry.kind === "plates" || entry.kind === "faults")
+    .map((entry) => ({ ...entry, visible: false, layer: null, lines: null }));
+  renderOverlayToggles();
+
+  tectonicOverlays.forEach((overlay) =>
+    d3
+      .json(overlay.path)
+      .then((json) => {
+        overlay.lines = parseTectonicGeoJson(json);
+        onTectonicOverlayLoaded(overlay);
+      })
+      .catch((error) => {
+        console.error(error);
+        showDatasetStatus(
+          `Could not load "${overlay.label}" (${overlay.path}): ${error.message}`,
+          true
+        );
+      })
+  );
+}
+
+function onTectonicOverlayLoaded(overlay) {
+  renderOverlayToggles();
+  drawTectonicOverlays();
+  if (overlay.kind === "plates" && fullData.length > 0) {
+    annotateBoundaryDistances(fullData);
+    applyFilters();
+  }
+}
+
+// -------- Distance to the nearest plate boundary --------
+// Segments of every loaded plate-boundary line, with their bounding box for pruning
+function getBoundarySegments() {
+  const segments = [];
+  tectonicOverlays
+    .filter((overlay) => overlay.kind === "plates" && overlay.lines)
+    .forEach((overlay) =>
+      overlay.lines.forEach((line) => {
+        for (let i = 1; i < line.coords.length; i++) {
+          const a = line.coords[i - 1];
+          const b = line.coords[i];
+          segments.push({
+            a,
+            b,
+            line,
+            latMin: Math.min(a[0], b[0]),
+            latMax: Math.max(a[0], b[0]),
+            lngMid: (a[1] + b[1]) / 2,
+            lngHalf: Math.abs(b[1] - a[1]) / 2,
+          });
+        }
+      })
+    );
+  return segments;
+}
+
+function nearestBoundary(lat, lng, segments) {
+  const kmPerDegree = KM_PER_DEGREE;
+  const kx = kmPerDegree * Math.cos(toRadians(lat)); // Same scale as pointSegmentDistanceKm
+  let best = null;
+  let bestKm = Infinity;
+
+  // Runs for every event against every segment, so the pruning test is kept cheap
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    // The distance to the segment's bounding box is a lower bound on the distance to it
+    const latGap = Math.max(segment.latMin - lat, lat - segment.latMax, 0) * kmPerDegree;
+    if (latGap >= bestKm) continue;
+    let lngOffset = lng - segment.lngMid;
+    lngOffset -= 360 * Math.round(lngOffset / 360); // Wrapped into [-180°, 180°]
+    const lngGap = Math.max(Math.abs(lngOffset) - segment.lngHalf, 0) * kx;
+    if (latGap * latGap + lngGap * lngGap >= bestKm * bestKm) continue;
+
+    const km = pointSegmentDistanceKm(lat, lng, segment.a, segment.b);
+    if (km < bestKm) {
+      bestKm = km;
+      best = segment.line;
+    }
+  }
+  return best ? { line: best, km: bestKm } : null;
+}
+
+/**
+ * Sets boundaryDistance (km), boundaryType and boundaryName on each event;
+ * all null while no plate boundaries are loaded.
+ */
+function annotateBoundaryDistances(data) {
+  const segments = getBoundarySegments();
+  data.forEach((d) => {
+    const nearest = segments.length > 0 ? nearestBoundary(d.latitude, d.longitude, segments) : null;
+    d.boundaryDistance = nearest
+      ? Math.round(nearest.km / BOUNDARY_DISTANCE_STEP) * BOUNDARY_DISTANCE_STEP
+      : null;
+    d.boundaryType = nearest ? nearest.line.type : null;
+    d.boundaryName = nearest ? nearest.line.name : null;
+  });
+  invalidateBins("boundary");
+}
+
+function hasBoundaryDistances() {
+  return fullData.some((d) => d.boundaryDistance !== null && d.boundaryDistance !== undefined);
+}
+
+// Bin label of the event's distance (binning.js), or null without one
+function getBoundaryDistanceLabel(d) {
+  if (d.boundaryDistance === null || d.boundaryDistance === undefined) return null;
+  return getBinLabel("boundary", d.boundaryDistance);
+}
+
+function getBoundaryTypeLabel(d) {
+  return d.boundaryType ? BOUNDARY_TYPES[d.boundaryType].label : null;
+}
+
+// Labels of the types present in the loaded boundaries, in BOUNDARY_TYPES order
+function getBoundaryTypeLabels() {
+  const present = new Set();
+  tectonicOverlays
+    .filter((overlay) => overlay.kind === "plates" && overlay.lines)
+    .forEach((overlay) => overlay.lines.forEach((line) => present.add(line.type)));
+  return Object.keys(BOUNDARY_TYPES)
+    .filter((type) => present.has(type))
+    .map((type) => BOUNDARY_TYPES[type].label);
+}
+
+// "≈40 km, trench (Japan Trench)" for the tooltip and detail panel; "" without one
+function describeNearestBoundary(d) {
+  if (d.boundaryDistance === null || d.boundaryDistance === undefined) return "";
+  const type = BOUNDARY_TYPES[d.boundaryType].label.toLowerCase();
+  const name = d.boundaryName ? ` (${d.boundaryName})` : "";
+  return `≈${d.boundaryDistance.toFixed(0)} km, ${type}${name}`;
+}
+
+// -------- Map layers (redrawn for each new LeafletMap) --------
+function drawTectonicOverlays() {
+  if (!leafletMap) return;
+  const map = leafletMap.theMap;
+  if (!map.getPane(TECTONIC_PANE)) {
+    const pane = map.createPane(TECTONIC_PANE);
+    pane.style.zIndex = 350;
+    pane.style.pointerEvents = "none";
+  }
+
+  tectonicOverlays.forEach((overlay) => {
+    if (overlay.layer) overlay.layer.remove();
+    overlay.layer = overlay.visible && overlay.lines ? buildOverlayLayer(overlay).addTo(map) : null;
+  });
+}
+
+function buildOverlayLayer(overlay) {
+  const group = L.layerGroup();
+  const isPlates = overlay.kind === "plates";
+
+  // One copy per world in reach of the map's bounds (see maxBounds in LeafletMap)
+  [-360, 0, 360].forEach((offset) =>
+    overlay.lines.forEach((line) =>
+      L.polyline(
+        line.coords.map(([lat, lng]) => [lat, lng + offset]),
+        {
+          pane: TECTONIC_PANE,
+          color: isPlates ? BOUNDARY_TYPES[line.type].color : FAULT_COLOR,
+          weight: isPlates ? 2 : 1.2,
+          opacity: 0.85,
+          interactive: false,
+        }
+      ).addTo(group)
+    )
+  );
+  return group;
+}
+
+// -------- Visibility (checkboxes and shared links) --------
+function setOverlayVisible(id, visible) {
+  const overlay = tectonicOverlays.find((o) => o.id === id);
+  if (!overlay) return;
+  overlay.visible = visible;
+  renderOverlayToggles();
+  drawTectonicOverlays();
+  if (typeof scheduleUrlStateUpdate === "function") scheduleUrlStateUpdate();
+}
+
+function getVisibleOverlayIds() {
+  return tectonicOverlays.filter((o) => o.visible).map((o) => o.id);
+}
+
+function setVisibleOverlays(ids) {
+  tectonicOverlays.forEach((overlay) => (overlay.visible = ids.includes(overlay.id)));
+  renderOverlayToggles();
+  drawTectonicOverlays();
+}
+
+// One checkbox per overlay, plus the type colours while plate boundaries show
+function renderOverlayToggles() {
+  const toggles = d3
+    .select("#overlay-toggles")
+    .selectAll("label")
+    .data(tectonicOverlays, (o) => o.id)
+    .join((enter) => {
+      const label = enter.append("label");
+      label.append("input").attr("type", "checkbox");
+      label.append("span");
+      return label;
+    })
+    .attr("title", (o) => (o.lines ? "" : "Loading…"));
+
+  toggles.select("span").text((o) => o.label);
+  toggles
+    .select("input")
+    .property("checked", (o) => o.visible)
+    .property("disabled", (o) => !o.lines)
+    .on("change", function (event, o) {
+      setOverlayVisible(o.id, this.checked);
+    });
+
+  const showLegend = tectonicOverlays.some((o) => o.kind === "plates" && o.visible && o.lines);
+  d3.select("#plate-legend")
+    .classed("hidden", !showLegend)
+    .selectAll("span")
+    .data(getBoundaryTypeLabels())
+    .join("span")
+    .text((label) => label)
+    .style("border-color", (label) =>
+      Object.values(BOUNDARY_TYPES).find((t) => t.label === label).color
+    );
+}
+
+// -------- Fault traces from a local GeoJSON file --------
+function loadFaultFile(file) {
+  file
+    .text()
+    .then((text) => {
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`invalid JSON (${error.message})`);
+      }
+      const lines = parseTectonicGeoJson(json);
+
+      // A new file replaces the previous one, whose lines come off the map first
+      const previous = tectonicOverlays.find((o) => o.id === "fault-file");
+      if (previous && previous.layer) previous.layer.remove();
+      tectonicOverlays = tectonicOverlays.filter((o) => o !== previous);
+      tectonicOverlays.push({
+        id: "fault-file",
+        label: file.name,
+        kind: "faults",
+        visible: true,
+        layer: null,
+        lines,
+      });
+      renderOverlayToggles();
+      drawTectonicOverlays();
+    })
+    .catch((error) => {
+      console.error(error);
+      showDatasetStatus(`Could not load fault traces from ${file.name}: ${error.message}`, true);
+    });
+}
+
+function initTectonicControls() {
+  const input = document.getElementById("fault-file-input");
+  document.getElementById("fault-load-btn").addEventListener("click", () => input.click());
+  input.addEventListener("change", () => {
+    if (input.files.length > 0) loadFaultFile(input.files[0]);
+    input.value = ""; // Picking the same file again still fires "change"
+  });
+}
+
+initTectonicControls();
@@ -0,0 +1,304 @@
+/**
+ * File: urlState.js
+ * Purpose:
+ *   - Encodes the interactive state (catalog, time window, brush selection,
+ *     chart and panel filters, binning, map layers and view; every key is
+ *     listed under "Hash format" below) in the URL hash.
+ *   - Restores that state on load and when the user steps back/forward
+ *     through the browser history.
+ *
+ * Hash format (all keys optional):
+ *   #ds=2024-2025&t=2024-11..2025-01&sel=add_rect_-30,160,-10,190|subtract_circle_-20,175,150
+ *    &mag=5.0–5.9|6.0–6.9
+ *    &dep=0–10km&mbin=half&dbin=0,70,300&layer=Satellite (ESRI)&mode=hexbin&hex=energy&c=20.000,150.000&z=2.4
+ *    &pf=-15,-178,-25,-172,100&mc=gft&dc=mainshocks&dca=reasenberg&size=energy
+ *    &q=reviewed|gap:180|magError:0.2&unc=1&fade=0&net=us|ak&mt=ml&eq=only
+ *    &bd=0–100km|100–300km&bt=Trench&bbin=quantile&bv=type&ov=plates
+ *   t=all means the time filter chip has been removed. Any other window
+ *   (timeline brush, paused playback) is written as days: t=2024-11-03..2024-11-20,
+ *   or as hours when it doesn't cover whole days: t=2024-11-03T03..2024-11-03T07
+ *   (both ends inclusive).
+ *   pf is the depth profile: start lat,lng, end lat,lng, swath width in km.
+ *   mc is the frequency–magnitude panel's Mc method, written when not the
+ *   default max curvature.
+ *   mbin/dbin are the magnitude/depth binning schemes (binning.js) when not
+ *   the default: a preset key or custom lower edges. mag and dep hold bin
+ *   labels of those schemes.
+ *   bd and bt are the plate-boundary distance bins and boundary types picked
+ *   in the boundary chart, bbin its distance binning (default 0/100/300/1000 km)
+ *   and bv=type its boundary-type view. ov lists the map overlays shown
+ *   (tectonics.js); fault files loaded from disk aren't kept.
+ *   q is the catalog-quality filter (quality.js): "reviewed" and key:limit
+ *   entries. unc=1 shows error halos and depth error bars; fade=0 stops
+ *   fading poorly constrained events.
+ *   net, mt, et and loc are the ticked values of the network, magnitude
+ *   type, event type and location source facets (facets.js); eq=only hides
+ *   non-earthquake events.
+ *   size=energy sizes map circles by radiated energy instead of magnitude.
+ *   dc is the declustering filter (mainshocks or dependents; absent = all
+ *   events) and dca its algorithm when not the default Gardner–Knopoff.
+ *   sel is the Brush Mode selection (see encodeSelection); links using the
+ *   older single-rectangle b=s,w,n,e are still read.
+ *   A cluster filter is a set of in-memory events and is not encoded.
+ */
+
+let urlStateTimer = null;
+let isRestoringUrlState = false;
+let hasWrittenUrlState = false;
+
+const formatMonthKey = d3.timeFormat("%Y-%m");
+const formatDayKey = d3.timeFormat("%Y-%m-%d");
+const parseDayKey = d3.timeParse("%Y-%m-%d");
+const formatHourKey = d3.timeFormat("%Y-%m-%dT%H");
+const parseHourKey = d3.timeParse("%Y-%m-%dT%H");
+
+// -------- Hash <-> plain object --------
+function encodeUrlState(state) {
+  return Object.entries(state)
+    .filter(([, value]) => value !== undefined && value !== "")
+    .map(
+      ([key, value]) =>
+        `${key}=${encodeURIComponent(value)
+          .replace(/%2C/g, ",")
+          .replace(/%7C/g, "|")}`
+    )
+    .join("&");
+}
+
+function decodeUrlState(hash) {
+  const state = {};
+  hash
+    .replace(/^#/, "")
+    .split("&")
+    .filter((pair) => pair.includes("="))
+    .forEach((pair) => {
+      const [key, ...rest] = pair.split("=");
+      try {
+        state[key] = decodeURIComponent(rest.join("="));
+      } catch (error) {
+        console.warn(`Ignoring malformed URL state "${pair}"`);
+      }
+    });
+  return state;
+}
+
+function readUrlState() {
+  return decodeUrlState(window.location.hash);
+}
+
+// -------- Snapshot of what is on screen right now --------
+function captureUrlState() {
+  const state = {};
+  const map = leafletMap.theMap;
+  const center = map.getCenter();
+
+  // Imported files only live in memory, so they can't be shared by link
+  if (currentDataset && !currentDataset.records) state.ds = currentDataset.id;
+
+  const slider = document.getElementById("monthSlider");
+  const months = isRangeMode && currentRange ? currentRange : slider ? [+slider.value] : [];
+  if (!filterState.time) {
+    state.t = "all";
+  } else if (slidersShowTime(months)) {
+    state.t = months.map((i) => formatMonthKey(monthsArray[i])).join("..");
+  } else {
+    const { start, end } = filterState.time;
+    const wholeDays =
+      +start === +d3.timeDay.floor(start) && +end + 1 === +d3.timeDay.ceil(end);
+    state.t = wholeDays
+      ? [start, end].map(formatDayKey).join("..")
+      : [start, end].map(formatHourKey).join("..");
+  }
+
+  state.sel = encodeSelection(filterState.selection);
+
+  if (profileLine) {
+    state.pf = [...profileLine.start, ...profileLine.end, profileLine.widthKm]
+      .map((v) => +v.toFixed(3))
+      .join(",");
+  }
+
+  if (binningConfig.magnitude.preset !== "whole") state.mbin = encodeBinning("magnitude");
+  if (binningConfig.depth.preset !== "classic") state.dbin = encodeBinning("depth");
+  state.mag = Array.from(filterState.magnitudes).join("|");
+  state.dep = Array.from(filterState.depths).join("|");
+  if (binningConfig.boundary.preset !== "coarse") state.bbin = encodeBinning("boundary");
+  state.bd = Array.from(filterState.boundaryDistances).join("|");
+  state.bt = Array.from(filterState.boundaryTypes).join("|");
+  if (document.getElementById("boundary-view-select").value === "type") state.bv = "type";
+  if (filterState.decluster !== "all") {
+    state.dc = filterState.decluster;
+    if (filterState.declusterAlgorithm !== "gk") state.dca = filterState.declusterAlgorithm;
+  }
+  state.q = encodeQualityFilter();
+  Object.entries(FACETS).forEach(([key, { urlKey }]) => {
+    state[urlKey] = Array.from(filterState.facets[key]).join("|");
+  });
+  if (!filterState.nonEarthquakes) state.eq = "only";
+  if (qualityDisplay.showErrors) state.unc = "1";
+  if (!qualityDisplay.fadePoor) state.fade = "0";
+  state.layer = document.getElementById("base-layer-select").value;
+  state.ov = getVisibleOverlayIds().join("|");
+  state.mode = leafletMap.renderMode;
+  if (leafletMap.renderMode === "hexbin") state.hex = leafletMap.hexMetric;
+  if (leafletMap.sizeBy !== "magnitude") state.size = leafletMap.sizeBy;
+  const mcMethod = document.getElementById("gr-method-select").value;
+  if (mcMethod !== "maxc") state.mc = mcMethod;
+  state.c = `${center.lat.toFixed(3)},${center.lng.toFixed(3)}`;
+  state.z = String(+map.getZoom().toFixed(2));
+  return state;
+}
+
+// True when the time window is exactly the month(s) the slider thumbs point at
+function slidersShowTime(months) {
+  if (months.length === 0) return false;
+  const { start, end } = filterState.time;
+  return (
+    +start === +monthsArray[months[0]] &&
+    +end === +getMonthRange(monthsArray[months[months.length - 1]])[1]
+  );
+}
+
+// -------- Debounced history entry after each state change --------
+function scheduleUrlStateUpdate() {
+  if (isRestoringUrlState || isAnimating) return;
+
+  // Slider drags and map pans fire many events; only record where they settle
+  clearTimeout(urlStateTimer);
+  urlStateTimer = setTimeout(writeUrlState, 300);
+}
+
+function writeUrlState() {
+  if (!leafletMap || isRestoringUrlState) return;
+
+  const hash = "#" + encodeUrlState(captureUrlState());
+  if (hash === window.location.hash) return;
+
+  // The first write describes the page as loaded, so it shouldn't add a step
+  if (hasWrittenUrlState) history.pushState(null, "", hash);
+  else history.replaceState(null, "", hash);
+  hasWrittenUrlState = true;
+}
+
+// -------- Applies a decoded state to the map, slider and charts --------
+function restoreUrlState(state) {
+  if (!leafletMap) return Promise.resolve();
+
+  // Switching catalogs rebuilds everything first, then the rest is applied
+  const entry = datasets.find((d) => d.id === state.ds);
+  if (entry && entry !== currentDataset) {
+    document.getElementById("dataset-select").value = entry.id;
+    return loadDataset(entry).then(() => applyViewState(state));
+  }
+
+  applyViewState(state);
+  return Promise.resolve();
+}
+
+function applyViewState(state) {
+  isRestoringUrlState = true;
+  try {
+    if (isAnimating) stopAnimation();
+
+    // Everything except time goes straight into the filter state; the time
+    // controls below then trigger the single re-render
+    const splitList = (value) => (value ? value.split("|") : []);
+    decodeBinning("magnitude", state.mbin); // Before the labels, which belong to its bins
+    decodeBinning("depth", state.dbin);
+    decodeBinning("boundary", state.bbin);
+    filterState.magnitudes.clear();
+    splitList(state.mag).forEach((label) => filterState.magnitudes.add(label));
+    filterState.depths.clear();
+    splitList(state.dep).forEach((label) => filterState.depths.add(label));
+    filterState.boundaryDistances = new Set(splitList(state.bd));
+    filterState.boundaryTypes = new Set(splitList(state.bt));
+    document.getElementById("boundary-view-select").value = state.bv === "type" ? "type" : "distance";
+    syncBoundaryViewControls();
+    filterState.decluster = ["mainshocks", "dependents"].includes(state.dc) ? state.dc : "all";
+    filterState.declusterAlgorithm = DECLUSTER_ALGORITHMS[state.dca] ? state.dca : "gk";
+    syncDeclusterControls();
+    Object.assign(qualityDisplay, { showErrors: state.unc === "1", fadePoor: state.fade !== "0" });
+    decodeQualityFilter(state.q); // Also syncs the quality panel
+    Object.entries(FACETS).forEach(([key, { urlKey }]) => {
+      filterState.facets[key] = new Set(splitList(state[urlKey]));
+    });
+    filterState.nonEarthquakes = state.eq !== "only";
+
+    filterState.selection = state.b
+      ? decodeSelection(`add_rect_${state.b}`)
+      : decodeSelection(state.sel);
+    leafletMap.showSelection(filterState.selection);
+
+    const profile = (state.pf || "").split(",").map(Number);
+    if (profile.length === 5 && profile.every((v) => !isNaN(v)) && profile[4] > 0) {
+      document.getElementById("profile-width-input").value = profile[4];
+      setProfileLine(profile.slice(0, 2), profile.slice(2, 4));
+    } else if (profileLine) {
+      clearProfile();
+    }
+
+    document.getElementById("gr-method-select").value = state.mc === "gft" ? "gft" : "maxc";
+
+    if (state.layer) leafletMap.setBaseLayer(state.layer);
+    setVisibleOverlays(splitList(state.ov));
+    if (state.hex) leafletMap.setHexMetric(state.hex);
+    leafletMap.setSizeBy(state.size === "energy" ? "energy" : "magnitude");
+    if (state.mode && state.mode !== leafletMap.renderMode) {
+      leafletMap.setRenderMode(state.mode);
+    }
+
+    const [lat, lng] = (state.c || "").split(",").map(Number);
+    if (!isNaN(lat) && !isNaN(lng) && state.c) {
+      leafletMap.theMap.setView(
+        [lat, lng],
+        +state.z || leafletMap.defaultZoom,
+        { animate: false }
+      );
+    }
+
+    // Time window: a single month, or "start..end" for the range slider
+    const monthIndex = (key) =>
+      monthsArray.findIndex((m) => formatMonthKey(m) === key);
+    const [startKey, endKey] = (state.t || "").split("..");
+    const startIndex = monthIndex(startKey);
+    const endIndex = monthIndex(endKey);
+
+    const startDay = parseDayKey(startKey || "");
+    const endDay = parseDayKey(endKey || "");
+    const startHour = parseHourKey(startKey || "");
+    const endHour = parseHourKey(endKey || "");
+
+    if (state.t === "all") {
+      collapseToSingleSlider(monthsArray.length - 1, false);
+      filterState.time = null;
+      applyFilters();
+    } else if (startDay && endDay && startDay <= endDay) {
+      const end = new Date(d3.timeDay.offset(endDay, 1) - 1);
+      const format = d3.timeFormat("%d %b %Y");
+      const label = +startDay === +endDay ? format(startDay) : `${format(startDay)} – ${format(endDay)}`;
+      syncSlidersToTime(startDay, end, label);
+      setTimeFilter(startDay, end, label);
+    } else if (startHour && endHour && startHour <= endHour) {
+      const end = new Date(d3.timeHour.offset(endHour, 1) - 1);
+      const format = d3.timeFormat("%d %b %Y %H:00"); // As the hourly timeline
+      const label = +startHour === +endHour ? format(startHour) : `${format(startHour)} – ${format(endHour)}`;
+      syncSlidersToTime(startHour, end, label);
+      setTimeFilter(startHour, end, label);
+    } else if (startIndex >= 0 && endIndex > startIndex) {
+      expandToCustomRangeSlider(startIndex, endIndex);
+    } else {
+      collapseToSingleSlider(
+        startIndex >= 0 ? startIndex : monthsArray.length - 1
+      );
+    }
+  } finally {
+    isRestoringUrlState = false;
+  }
+}
+
+// -------- Back/forward buttons and hand-edited hashes --------
+window.addEventListener("popstate", () => {
+  if (!leafletMap) return;
+  clearTimeout(urlStateTimer);
+  restoreUrlState(readUrlState());
+});